@@ -0,0 +1,324 @@
+/**
+ * TreeLab - SearchTreeBase Abstract Class
+ *
+ * Purpose: Logic shared by the binary search trees (BST, AVL, Red-Black)
+ *
+ * - Every node keeps the size of its subtree (TreeNode.size); subclasses call
+ *   _updateSize on the way back up from insert / delete and in their rotations
+ * - Order statistics use the sizes to answer in O(height) instead of an inorder walk
+ * - Floor / ceiling / predecessor / successor walk one root-to-leaf path, range search
+ *   the two boundary paths plus the k reported values
+ * - Steps name counted or skipped subtrees by their root only and the visualizer
+ *   expands them at draw time, so no step lists more than O(height) nodes
+ * - The walks are O(height), but recording steps for playback still copies the whole
+ *   tree once per query (the steps share that snapshot, see TreeBase._addAnimationStep)
+ *
+ * SOLID Principles:
+ * - Open/Closed: The concrete trees only keep sizes up to date, queries are written once
+ * - Liskov Substitution: Still a TreeBase for the page and the visualizer
+ */
+
+class SearchTreeBase extends TreeBase {
+    constructor(name = 'Search Tree') {
+        super(name);
+        if (new.target === SearchTreeBase) {
+            throw new TypeError('Cannot instantiate abstract class SearchTreeBase directly');
+        }
+    }
+
+    // ============================================
+    // Subtree Sizes
+    // ============================================
+
+    /**
+     * Get subtree size of a node (handles null)
+     * @protected
+     */
+    _getNodeSize(node) {
+        return node === null ? 0 : node.size;
+    }
+
+    /**
+     * Recompute a node's subtree size from its children
+     * @protected
+     */
+    _updateSize(node) {
+        if (node !== null) {
+            node.size = 1 + this._getNodeSize(node.left) + this._getNodeSize(node.right);
+        }
+    }
+
+    // ============================================
+    // Order Statistics
+    // ============================================
+
+    /**
+     * Find the k-th smallest value (1-based)
+     * Going left keeps k, going right skips the left subtree and the node itself
+     * @param {number} k
+     * @returns {TreeNode|null} Null if k is not between 1 and the node count
+     */
+    kthSmallest(k) {
+        this.clearAnimationSteps();
+
+        if (!Number.isInteger(k) || k < 1 || k > this._getNodeSize(this.root)) {
+            return null;
+        }
+
+        let node = this.root;
+        let rest = k;
+
+        while (node !== null) {
+            const leftSize = this._getNodeSize(node.left);
+
+            if (rest === leftSize + 1) {
+                this._addAnimationStep('found', {
+                    node,
+                    description: `Sol alt ağaçta ${leftSize} değer var, ${k}. en küçük değer ${node.value}`
+                });
+                return node;
+            }
+
+            if (rest <= leftSize) {
+                this._addAnimationStep('visit', {
+                    node,
+                    direction: 'left',
+                    description: `k = ${rest} ≤ sol alt ağaç boyutu ${leftSize}, sola inilir`
+                });
+                node = node.left;
+            } else {
+                this._addAnimationStep('visit', {
+                    node,
+                    direction: 'right',
+                    description: `k = ${rest} > ${leftSize} + 1, sağa inilir: k = ${rest - leftSize - 1}`
+                });
+                rest -= leftSize + 1;
+                node = node.right;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Rank of a value: how many stored values are less than or equal to it
+     * (the 1-based position of a stored value, so kthSmallest(rank(x)) finds x)
+     * Counted values are highlighted as the walk goes right past them
+     * (the walk is O(height), the first step's snapshot copies the tree once)
+     * @param {number} value
+     * @returns {number}
+     */
+    rank(value) {
+        this.clearAnimationSteps();
+
+        // Nodes passed on the right and the roots of their (whole) left subtrees
+        const counted = [];
+        const countedSubtrees = [];
+        let node = this.root;
+        let rank = 0;
+
+        while (node !== null) {
+            if (value < node.value) {
+                this._addAnimationStep('visit', {
+                    node,
+                    direction: 'left',
+                    resultNodes: [...counted],
+                    resultSubtrees: [...countedSubtrees],
+                    description: `${value} < ${node.value}, sola inilir (rank = ${rank})`
+                });
+                node = node.left;
+                continue;
+            }
+
+            // The node and its whole left subtree are ≤ value
+            rank += this._getNodeSize(node.left) + 1;
+            counted.push(node);
+            if (node.left) countedSubtrees.push(node.left);
+
+            if (value === node.value) {
+                this._addAnimationStep('found', {
+                    node,
+                    resultNodes: [...counted],
+                    resultSubtrees: [...countedSubtrees],
+                    description: `${value} bulundu, sıralamadaki yeri (rank) ${rank}`
+                });
+                return rank;
+            }
+
+            this._addAnimationStep('visit', {
+                node,
+                direction: 'right',
+                resultNodes: [...counted],
+                resultSubtrees: [...countedSubtrees],
+                description: `${value} > ${node.value}: sol alt ağaç (${this._getNodeSize(node.left)}) ve düğüm sayıldı, rank = ${rank}`
+            });
+            node = node.right;
+        }
+
+        return rank;
+    }
+
+    // ============================================
+    // Nearest Values and Ranges
+    // ============================================
+
+    /**
+     * Largest value less than or equal to the given value
+     * @param {number} value
+     * @returns {TreeNode|null}
+     */
+    floor(value) {
+        return this._findNearest(value, true, false);
+    }
+
+    /**
+     * Smallest value greater than or equal to the given value
+     * @param {number} value
+     * @returns {TreeNode|null}
+     */
+    ceiling(value) {
+        return this._findNearest(value, false, false);
+    }
+
+    /**
+     * Largest value strictly less than the given value (which need not be stored)
+     * @param {number} value
+     * @returns {TreeNode|null}
+     */
+    predecessor(value) {
+        return this._findNearest(value, true, true);
+    }
+
+    /**
+     * Smallest value strictly greater than the given value (which need not be stored)
+     * @param {number} value
+     * @returns {TreeNode|null}
+     */
+    successor(value) {
+        return this._findNearest(value, false, true);
+    }
+
+    /**
+     * Walk down from the root remembering the last node on the wanted side of value:
+     * every later candidate is closer, since the walk only narrows the interval
+     * @param {number} value
+     * @param {boolean} below - Look for the largest value below (floor / predecessor)
+     * @param {boolean} strict - Skip a node equal to value
+     * @returns {TreeNode|null}
+     * @private
+     */
+    _findNearest(value, below, strict) {
+        this.clearAnimationSteps();
+
+        const sign = below ? (strict ? '<' : '≤') : (strict ? '>' : '≥');
+        let best = null;
+        let node = this.root;
+
+        while (node !== null) {
+            if (!strict && value === node.value) {
+                this._addAnimationStep('found', {
+                    node,
+                    exact: true,
+                    description: `${value} ağaçta var, sonuç kendisi`
+                });
+                return node;
+            }
+
+            const isCandidate = below ? node.value < value : node.value > value;
+            const goLeft = below !== isCandidate;
+
+            if (isCandidate) best = node;
+
+            this._addAnimationStep('visit', {
+                node,
+                candidate: isCandidate,
+                resultNodes: best ? [best] : [],
+                description: isCandidate
+                    ? `${node.value} ${sign} ${value}: yeni aday ${node.value}, ${goLeft ? 'sola' : 'sağa'} inilir`
+                    : `${node.value} ${sign} ${value} değil, ${goLeft ? 'sola' : 'sağa'} inilir`
+            });
+
+            node = goLeft ? node.left : node.right;
+        }
+
+        if (best) {
+            this._addAnimationStep('found', {
+                node: best,
+                exact: false,
+                description: `Yol bitti, ${sign} ${value} olan en yakın değer ${best.value}`
+            });
+        }
+
+        return best;
+    }
+
+    /**
+     * All values in [lo, hi] in sorted order
+     * Subtrees that lie completely outside the range are skipped and greyed out;
+     * only the two boundary paths and the k values in range are visited, O(height + k)
+     * for the walk; its steps share one snapshot, which copies the tree once
+     * @param {number} lo
+     * @param {number} hi
+     * @returns {TreeNode[]}
+     */
+    rangeSearch(lo, hi) {
+        this.clearAnimationSteps();
+
+        const result = [];
+        if (lo <= hi) {
+            this._rangeSearch(this.root, lo, hi, result, []);
+        }
+        return result;
+    }
+
+    /**
+     * Helper: Inorder walk that only enters subtrees which can hold values in range
+     * Skipped subtrees are collected by their root (at most two per level)
+     * @private
+     */
+    _rangeSearch(node, lo, hi, result, prunedSubtrees) {
+        if (node === null) return;
+
+        const skipped = [];
+        if (node.left && node.value <= lo) {
+            skipped.push(`sol alt ağaç (< ${lo})`);
+            prunedSubtrees.push(node.left);
+        }
+        if (node.right && node.value >= hi) {
+            skipped.push(`sağ alt ağaç (> ${hi})`);
+            prunedSubtrees.push(node.right);
+        }
+
+        this._addAnimationStep('visit', {
+            node,
+            resultNodes: [...result],
+            prunedSubtrees: [...prunedSubtrees],
+            description: skipped.length > 0
+                ? `${node.value} ziyaret edildi, ${skipped.join(' ve ')} atlandı`
+                : `${node.value} ziyaret edildi, [${lo}, ${hi}] ile karşılaştırılıyor`
+        });
+
+        if (lo < node.value) {
+            this._rangeSearch(node.left, lo, hi, result, prunedSubtrees);
+        }
+
+        if (lo <= node.value && node.value <= hi) {
+            result.push(node);
+            this._addAnimationStep('found', {
+                node,
+                resultNodes: [...result],
+                prunedSubtrees: [...prunedSubtrees],
+                description: `${node.value} [${lo}, ${hi}] aralığında, sonuca eklendi (${result.length}. değer)`
+            });
+        }
+
+        if (node.value < hi) {
+            this._rangeSearch(node.right, lo, hi, result, prunedSubtrees);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SearchTreeBase = SearchTreeBase;
+}
@@ -211,18 +211,78 @@ class TreeBase {
 
     /**
      * Add an animation step
+     * A run of highlight-only steps (TreeBase.HIGHLIGHT_ACTIONS) shares the snapshot of its
+     * first step, so a query copies the tree once instead of once per step; any other step
+     * is recorded just before or after a change, so it and the step after it get a new copy
      * @param {string} action - Action type ('highlight', 'visit', 'compare', etc.)
      * @param {Object} data - Animation data
      * @protected
      */
     _addAnimationStep(action, data) {
+        const previous = this.animationSteps[this.animationSteps.length - 1];
+        const unchanged = previous
+            && TreeBase.HIGHLIGHT_ACTIONS.has(action)
+            && TreeBase.HIGHLIGHT_ACTIONS.has(previous.action);
+
         this.animationSteps.push({
             action,
             data,
+            snapshot: unchanged ? previous.snapshot : this._createSnapshot(),
             timestamp: Date.now()
         });
     }
 
+    /**
+     * Capture the tree structure as it is when a step is recorded,
+     * so playback can go back to any step
+     * @returns {{root: Object|null, nodeMap: Map}} Cloned root and original -> clone map
+     * @protected
+     */
+    _createSnapshot() {
+        const nodeMap = new Map();
+        const root = this._cloneNode(this.root, nodeMap);
+
+        // Re-point parent references to the cloned nodes
+        for (const copy of nodeMap.values()) {
+            if (copy.parent) {
+                copy.parent = nodeMap.get(copy.parent) || null;
+            }
+        }
+
+        return { root, nodeMap };
+    }
+
+    /**
+     * Helper: Clone a node and everything reachable below it
+     * Handles binary (left/right), Trie (Map children) and multi-key (array children) nodes
+     * @private
+     */
+    _cloneNode(node, nodeMap) {
+        if (!node || typeof node !== 'object') return node || null;
+        if (nodeMap.has(node)) return nodeMap.get(node);
+
+        const copy = Object.assign(Object.create(Object.getPrototypeOf(node)), node);
+        nodeMap.set(node, copy);
+
+        if (node.left !== undefined) copy.left = this._cloneNode(node.left, nodeMap);
+        if (node.right !== undefined) copy.right = this._cloneNode(node.right, nodeMap);
+        if (Array.isArray(node.keys)) copy.keys = [...node.keys];
+
+        if (node.children instanceof Map) {
+            copy.children = new Map();
+            for (const [key, child] of node.children) {
+                copy.children.set(key, this._cloneNode(child, nodeMap));
+            }
+        } else if (Array.isArray(node.children)) {
+            copy.children = node.children.map(child => this._cloneNode(child, nodeMap));
+        }
+
+        // B+ Tree leaf links
+        if (node.next !== undefined) copy.next = this._cloneNode(node.next, nodeMap);
+
+        return copy;
+    }
+
     /**
      * Get all animation steps and clear
      * @returns {Array}
@@ -273,6 +333,13 @@ class TreeBase {
     }
 }
 
+// Actions that only point at nodes; between two of them the tree must not change,
+// since the second one reuses the snapshot of the first
+TreeBase.HIGHLIGHT_ACTIONS = new Set([
+    'compare', 'visit', 'found', 'highlight', 'scan', 'prune',
+    'covered', 'skipped', 'partial', 'bitQuery', 'bitResult'
+]);
+
 // Export for use in other modules
 if (typeof window !== 'undefined') {
     window.TreeBase = TreeBase;
@@ -9,9 +9,17 @@ class TreeFactory {
     /**
      * Create a tree instance of the specified type
      * @param {string} type - Tree type identifier
+     * @param {Object} [options] - Tree specific options
+     * @param {number} [options.t] - Minimum degree for B-Tree / B+ Tree
+     * @param {number} [options.order] - Order m (max children) for B-Tree / B+ Tree, 2t when omitted
+     * @param {boolean} [options.lazy] - Segment Tree with lazy propagation
+     * @param {string} [options.aggregate] - Segment Tree aggregate (sum, min, max, gcd, xor, count)
+     * @param {string} [options.mode] - Fenwick Tree mode (point, rangePoint, rangeRange)
+     * @param {boolean} [options.compressed] - Radix (compressed) Trie
+     * @param {string|null} [options.caseLocale] - Trie case folding locale, null keeps the case
      * @returns {TreeBase} Tree instance
      */
-    static createTree(type) {
+    static createTree(type, options = {}) {
         const treeType = type.toLowerCase();
         
         switch (treeType) {
@@ -31,27 +39,28 @@ class TreeFactory {
             case 'min-heap':
                 return new MinHeap();
                 
-            case 'trie':
-            case 'prefix-tree':
-                return new Trie();
-                
-            // Not yet implemented
-            /*
             case 'max-heap':
                 return new MaxHeap();
-            */
+                
+            case 'trie':
+            case 'prefix-tree':
+                return options.compressed
+                    ? new RadixTrie(options.caseLocale)
+                    : new Trie(options.caseLocale);
                 
             case 'btree':
-                return new BTree();
+                return new BTree(options.t, options.order);
                 
             case 'bplus':
-                return new BPlusTree();
+                return new BPlusTree(options.t, options.order);
                 
             case 'segment':
-                return new SegmentTree();
+                return options.lazy
+                    ? new LazySegmentTree(options.aggregate)
+                    : new SegmentTree(options.aggregate);
                 
             case 'fenwick':
-                return new FenwickTree();
+                return new FenwickTree(options.mode);
 
                 
             default:
@@ -70,6 +79,7 @@ class TreeFactory {
             { id: 'avl', name: 'AVL Tree', implemented: true },
             { id: 'redblack', name: 'Red-Black Tree', implemented: true },
             { id: 'heap', name: 'Min Heap', implemented: true },
+            { id: 'max-heap', name: 'Max Heap', implemented: true },
             { id: 'trie', name: 'Trie', implemented: true },
             { id: 'btree', name: 'B-Tree', implemented: true },
             { id: 'bplus', name: 'B+ Tree', implemented: true },
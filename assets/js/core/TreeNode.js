@@ -22,6 +22,7 @@ class TreeNode {
         
         // Additional properties for different tree types
         this.height = 1; // For AVL trees
+        this.size = 1; // Nodes in this subtree (order statistics in BST / AVL / Red-Black)
         this.color = 'RED'; // For Red-Black trees ('RED' or 'BLACK')
         this.parent = null; // For trees that need parent references
         
@@ -76,6 +77,7 @@ class TreeNode {
     clone() {
         const node = new TreeNode(this.value);
         node.height = this.height;
+        node.size = this.size;
         node.color = this.color;
         node.x = this.x;
         node.y = this.y;
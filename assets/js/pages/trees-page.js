@@ -8,8 +8,56 @@
 // Global state
 let currentTree = null;
 let currentVisualizer = null;
+let animationPlayer = null;
+let stepTimeline = null;
+let pseudocodePanel = null;
+let arrayView = null;
 let currentTreeType = 'bst';
 let animationSpeed = 1;
+let treeOrder = 4; // Order m (max children) for B-Tree / B+ Tree
+let segmentLazy = false; // Segment Tree with lazy propagation
+let segmentAggregate = 'sum'; // Key of SegmentTree.AGGREGATES
+let fenwickMode = 'point'; // Key of FenwickTree.MODES
+let trieCompressed = false; // Radix (compressed) Trie
+let trieCaseFolding = true; // Lower-case Trie words with TRIE_LOCALE rules
+
+// Tree types built with an order and the orders offered in the UI
+// (a minimum degree t is the even order m = 2t)
+const ORDER_TREE_TYPES = ['btree', 'bplus'];
+const MIN_DEGREES = [2, 3, 4, 5, 6];
+const MAX_CHILDREN = [3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+
+// Binary search tree types (order statistics over subtree sizes)
+const SEARCH_TREE_TYPES = ['bst', 'avl', 'redblack'];
+
+// Nearest value queries of the binary search trees: result wording per query
+const BST_NEAREST_QUERIES = {
+    floor: (x) => `${x} değerine eşit veya küçük en büyük değer`,
+    ceiling: (x) => `${x} değerine eşit veya büyük en küçük değer`,
+    predecessor: (x) => `${x} değerinden küçük en büyük değer`,
+    successor: (x) => `${x} değerinden büyük en küçük değer`
+};
+
+// Binary heap tree types (decrease-key, delete by value, buildHeap controls)
+const HEAP_TREE_TYPES = ['heap', 'max-heap'];
+
+// Locale of Trie case folding (dotted / dotless i)
+const TRIE_LOCALE = 'tr-TR';
+
+// Maximum number of Trie autocomplete suggestions under the input
+const SUGGESTION_LIMIT = 8;
+
+// Syllables random Trie words are built from, so random words share prefixes
+const TRIE_RANDOM_SYLLABLES = ['ka', 'ma', 'ar', 'de', 'el', 'me', 'ra', 'sa', 'ta', 'ye'];
+
+// Fenwick control rows and the operation each one needs
+const FENWICK_CONTROLS = {
+    fenwickPointUpdateControls: 'pointAdd',
+    fenwickRangeUpdateControls: 'rangeAdd',
+    fenwickPrefixQueryControls: 'prefixQuery',
+    fenwickRangeQueryControls: 'rangeQuery',
+    fenwickPointQueryControls: 'pointQuery'
+};
 
 // Tree type information
 const treeInfo = {
@@ -20,6 +68,8 @@ const treeInfo = {
             { operation: 'Search (Arama)', average: 'O(log n)', worst: 'O(n)' },
             { operation: 'Insert (Ekleme)', average: 'O(log n)', worst: 'O(n)' },
             { operation: 'Delete (Silme)', average: 'O(log n)', worst: 'O(n)' },
+            { operation: 'k-th / Rank (Sıra İstatistiği)', average: 'O(log n)', worst: 'O(n)' },
+            { operation: 'Floor / Ceiling / Range (Yakın Değer, Aralık)', average: 'O(log n + k)', worst: 'O(n)' },
             { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
         ],
         sampleValues: [50, 30, 70, 20, 40, 60, 80]
@@ -31,6 +81,8 @@ const treeInfo = {
             { operation: 'Search (Arama)', average: 'O(log n)', worst: 'O(log n)' },
             { operation: 'Insert (Ekleme)', average: 'O(log n)', worst: 'O(log n)' },
             { operation: 'Delete (Silme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'k-th / Rank (Sıra İstatistiği)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Floor / Ceiling / Range (Yakın Değer, Aralık)', average: 'O(log n + k)', worst: 'O(log n + k)' },
             { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
         ],
         sampleValues: [30, 20, 40, 10, 25, 35, 50]
@@ -42,6 +94,8 @@ const treeInfo = {
             { operation: 'Search (Arama)', average: 'O(log n)', worst: 'O(log n)' },
             { operation: 'Insert (Ekleme)', average: 'O(log n)', worst: 'O(log n)' },
             { operation: 'Delete (Silme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'k-th / Rank (Sıra İstatistiği)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Floor / Ceiling / Range (Yakın Değer, Aralık)', average: 'O(log n + k)', worst: 'O(log n + k)' },
             { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
         ],
         sampleValues: [20, 15, 25, 10, 5, 1, 30]
@@ -57,9 +111,20 @@ const treeInfo = {
         ],
         sampleValues: [10, 20, 15, 30, 40, 25, 50]
     },
+    'max-heap': {
+        title: 'Max Heap',
+        description: 'Max Heap, complete binary tree özelliğine sahip ve her parent node\'un child node\'larından büyük veya eşit olduğu bir ağaç yapısıdır. Kökte her zaman en büyük eleman bulunur; en yüksek öncelikli işi seçen priority queue\'larda ve artan sıralama yapan heap sort algoritmasında kullanılır.',
+        complexity: [
+            { operation: 'Find Max (En Büyük)', average: 'O(1)', worst: 'O(1)' },
+            { operation: 'Insert (Ekleme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Delete Max (Silme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
+        ],
+        sampleValues: [15, 40, 30, 50, 10, 45, 20]
+    },
     trie: {
         title: 'Trie (Prefix Tree)',
-        description: 'Trie, string saklama ve arama için özelleşmiş bir ağaç yapısıdır. Her kenar bir karakteri temsil eder. Autocomplete, spell checking, IP routing gibi uygulamalarda kullanılır. Prefix aramada çok verimlidir.',
+        description: 'Trie, string saklama ve arama için özelleşmiş bir ağaç yapısıdır. Her kenar bir karakteri temsil eder. Autocomplete, spell checking, IP routing gibi uygulamalarda kullanılır. Prefix aramada çok verimlidir. Radix (sıkıştırılmış) modunda tek çocuklu zincirler tek bir kenarda birleştirilerek düğüm sayısı azaltılır.',
         complexity: [
             { operation: 'Search (Kelime Arama)', average: 'O(m)', worst: 'O(m)' },
             { operation: 'Insert (Kelime Ekleme)', average: 'O(m)', worst: 'O(m)' },
@@ -67,6 +132,51 @@ const treeInfo = {
             { operation: 'Space (Alan)', average: 'O(ALPHABET_SIZE * m * n)', worst: 'O(ALPHABET_SIZE * m * n)' }
         ],
         sampleValues: ['merhaba', 'mercan', 'masa', 'araba', 'armut', 'test', 'trie']
+    },
+    btree: {
+        title: 'B-Tree',
+        description: 'B-Tree, her düğümde birden fazla sıralı anahtar tutan ve tüm yaprakları aynı seviyede olan dengeli bir arama ağacıdır. Derece m (minimum derece t = ⌈m / 2⌉) için her düğüm en fazla m - 1 anahtar ve m çocuk taşır; taşan düğümler bölünür, silmede eksilen düğümler kardeşinden ödünç alır veya birleştirilir. Veritabanı indekslerinde ve dosya sistemlerinde kullanılır.',
+        complexity: [
+            { operation: 'Search (Arama)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Insert (Ekleme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Delete (Silme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
+        ],
+        sampleValues: [10, 20, 5, 6, 12, 30, 7, 17, 3, 25]
+    },
+    bplus: {
+        title: 'B+ Tree',
+        description: 'B+ Tree, tüm değerleri yapraklarda tutan ve iç düğümlerde yalnızca yönlendirme için ayırıcı anahtarlar saklayan bir B-Tree çeşididir. Yapraklar birbirine bağlı bir liste oluşturur, bu sayede aralık sorguları ve sıralı okuma çok hızlıdır. Veritabanı indekslerinin temelini oluşturur.',
+        complexity: [
+            { operation: 'Search (Arama)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Insert (Ekleme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Delete (Silme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Range Scan (Aralık)', average: 'O(log n + k)', worst: 'O(log n + k)' },
+            { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
+        ],
+        sampleValues: [10, 20, 5, 6, 12, 30, 7, 17, 3, 25]
+    },
+    segment: {
+        title: 'Segment Tree',
+        description: 'Segment Tree, bir dizinin aralıklarını ikili ağaç düğümlerinde saklar; her düğüm kapsadığı [l-r] aralığının toplamını (veya seçilen min, max, gcd, xor, sayım değerini) tutar. Aralık sorgusu yalnızca tamamen kapsanan düğümleri kullanır, nokta güncellemesi ise yapraktan köke giden yolu yeniden hesaplar. Ekle butonu diziye yeni eleman ekler.',
+        complexity: [
+            { operation: 'Build (Kurulum)', average: 'O(n)', worst: 'O(n)' },
+            { operation: 'Range Query (Aralık Sorgusu)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Point Update (Güncelleme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(4n)' }
+        ],
+        sampleValues: [5, 8, 6, 3, 2, 7, 2, 6]
+    },
+    fenwick: {
+        title: 'Fenwick Tree (Binary Indexed Tree)',
+        description: 'Fenwick Tree, bir dizinin önek toplamlarını tek bir dizide saklar; i indeksindeki hücre (i - lowbit(i), i] aralığının toplamını tutar. Güncelleme i += i & -i ile yukarı, sorgu i -= i & -i ile aşağı yürür. Fark dizisi üzerinde kurulunca aralık güncelleme / nokta sorgusu, iki BIT ile de aralık güncelleme / aralık sorgusu yapılabilir. İndeksler 1\'den başlar, Ekle butonu diziye yeni eleman ekler.',
+        complexity: [
+            { operation: 'Build (Kurulum)', average: 'O(n log n)', worst: 'O(n log n)' },
+            { operation: 'Prefix / Range Query (Sorgu)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Point / Range Update (Güncelleme)', average: 'O(log n)', worst: 'O(log n)' },
+            { operation: 'Space (Alan)', average: 'O(n)', worst: 'O(n)' }
+        ],
+        sampleValues: [5, 8, 6, 3, 2, 7, 2, 6]
     }
 };
 
@@ -83,6 +193,10 @@ document.addEventListener('DOMContentLoaded', () => {
 function initializePage() {
     // Create visualizer
     currentVisualizer = new TreeVisualizer('treeCanvas');
+    animationPlayer = new AnimationPlayer(currentVisualizer);
+    stepTimeline = new StepTimeline('timelineTrack', 'stepCaption', animationPlayer);
+    pseudocodePanel = new PseudocodePanel('pseudocodeTitle', 'pseudocodeLines', animationPlayer);
+    arrayView = new ArrayView('arrayView', animationPlayer);
     
     // Create initial tree
     switchTree('bst');
@@ -123,13 +237,80 @@ function setupEventListeners() {
         }
     });
     
+    // Trie autocomplete suggestions
+    document.getElementById('inputValue').addEventListener('input', handleSuggestionInput);
+    document.getElementById('inputValue').addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            hideSuggestions();
+        }
+    });
+    document.getElementById('rankSuggestions').addEventListener('change', handleSuggestionInput);
+    
+    // Radix Trie toggle, Trie pattern / fuzzy search
+    document.getElementById('radixToggle').addEventListener('change', handleRadixToggle);
+    document.getElementById('caseFoldToggle').addEventListener('change', handleCaseFoldToggle);
+    document.getElementById('btnPatternSearch').addEventListener('click', handlePatternSearch);
+    document.getElementById('btnFuzzySearch').addEventListener('click', handleFuzzySearch);
+    
+    // Order statistics (BST / AVL / Red-Black)
+    document.getElementById('btnKthSmallest').addEventListener('click', handleKthSmallest);
+    document.getElementById('btnRank').addEventListener('click', handleRank);
+    document.getElementById('subtreeSizeToggle').addEventListener('change', handleSubtreeSizeToggle);
+    document.getElementById('bstQuerySelect').addEventListener('change', handleBstQueryTypeChange);
+    document.getElementById('btnBstQuery').addEventListener('click', handleBstQuery);
+    
+    // Segment Tree range query / point update
+    document.getElementById('btnRangeQuery').addEventListener('click', handleRangeQuery);
+    document.getElementById('btnPointUpdate').addEventListener('click', handlePointUpdate);
+    document.getElementById('btnRangeUpdate').addEventListener('click', handleRangeUpdate);
+    document.getElementById('lazyToggle').addEventListener('change', handleLazyToggle);
+    document.getElementById('aggregateSelect').addEventListener('change', handleAggregateChange);
+    
+    // Heap decrease-key / delete by value / buildHeap
+    document.getElementById('btnDecreaseKey').addEventListener('click', handleDecreaseKey);
+    document.getElementById('decreaseKeyTarget').addEventListener('change', handleDecreaseKeyTargetChange);
+    document.getElementById('btnDeleteAt').addEventListener('click', handleDeleteAt);
+    document.getElementById('btnBuildHeap').addEventListener('click', handleBuildHeap);
+    document.getElementById('btnHeapSort').addEventListener('click', handleHeapSort);
+    
+    // Fenwick Tree updates / queries
+    document.getElementById('fenwickModeSelect').addEventListener('change', handleFenwickModeChange);
+    document.getElementById('btnFenwickPointUpdate').addEventListener('click', handleFenwickPointUpdate);
+    document.getElementById('btnFenwickRangeUpdate').addEventListener('click', handleFenwickRangeUpdate);
+    document.getElementById('btnFenwickPrefixQuery').addEventListener('click', handleFenwickPrefixQuery);
+    document.getElementById('btnFenwickRangeQuery').addEventListener('click', handleFenwickRangeQuery);
+    document.getElementById('btnFenwickPointQuery').addEventListener('click', handleFenwickPointQuery);
+    
+    // Order selector (B-Tree / B+ Tree)
+    document.getElementById('orderSelect').addEventListener('change', handleOrderChange);
+    document.getElementById('orderMode').addEventListener('change', renderOrderOptions);
+    
+    // B+ Tree range scan over the leaf chain
+    document.getElementById('btnRangeScan').addEventListener('click', handleRangeScan);
+    
     // Speed slider
     const speedSlider = document.getElementById('speedSlider');
     speedSlider.addEventListener('input', (e) => {
         animationSpeed = parseFloat(e.target.value);
         document.getElementById('speedLabel').textContent = animationSpeed + 'x';
+        eventBus.emit(EVENTS.ANIMATION_SPEED_CHANGED, { speed: animationSpeed });
     });
     
+    // Playback controls
+    document.getElementById('btnStepStart').addEventListener('click', () => animationPlayer.goToStart());
+    document.getElementById('btnStepBack').addEventListener('click', () => animationPlayer.stepBack());
+    document.getElementById('btnPlayPause').addEventListener('click', () => animationPlayer.togglePlay());
+    document.getElementById('btnStepForward').addEventListener('click', () => animationPlayer.stepForward());
+    document.getElementById('btnStepEnd').addEventListener('click', () => animationPlayer.goToEnd());
+    
+    [
+        EVENTS.ANIMATION_START,
+        EVENTS.ANIMATION_PAUSE,
+        EVENTS.ANIMATION_RESUME,
+        EVENTS.ANIMATION_STEP,
+        EVENTS.ANIMATION_COMPLETE
+    ].forEach(eventName => eventBus.on(eventName, updatePlaybackControls));
+    
     // Traversal buttons
     document.getElementById('btnInorder').addEventListener('click', () => handleTraversal('inorder'));
     document.getElementById('btnPreorder').addEventListener('click', () => handleTraversal('preorder'));
@@ -157,12 +338,48 @@ function setupEventListeners() {
  * Switch to a different tree type
  */
 function switchTree(treeType) {
+    resetPlayback();
     currentTreeType = treeType;
-    currentTree = TreeFactory.createTree(treeType);
+    currentTree = TreeFactory.createTree(treeType, getTreeOptions(treeType));
     currentVisualizer.setTree(currentTree);
+    arrayView.setTree(currentTree);
     
     // Update UI
     updateTreeInfo();
+    pseudocodePanel.setOperation(getPseudocodeType(), 'insert');
+    
+    // Show order selector only for trees built with a minimum degree
+    const hasOrder = ORDER_TREE_TYPES.includes(treeType);
+    document.getElementById('orderGroup').style.display = hasOrder ? 'block' : 'none';
+    if (hasOrder) {
+        renderOrderOptions();
+    }
+    
+    // Leaf chain range scan only for B+ Tree
+    document.getElementById('bplusGroup').style.display = treeType === 'bplus' ? 'block' : 'none';
+    
+    // Range query / point update only for Segment Tree
+    document.getElementById('segmentGroup').style.display = treeType === 'segment' ? 'block' : 'none';
+    if (treeType === 'segment') {
+        renderAggregateOptions();
+    }
+    
+    // k-th smallest / rank only for binary search trees
+    document.getElementById('searchTreeGroup').style.display = SEARCH_TREE_TYPES.includes(treeType) ? 'block' : 'none';
+    
+    // Priority queue operations only for heaps
+    document.getElementById('heapGroup').style.display = HEAP_TREE_TYPES.includes(treeType) ? 'block' : 'none';
+    
+    // Update / query controls only for Fenwick Tree
+    document.getElementById('fenwickGroup').style.display = treeType === 'fenwick' ? 'block' : 'none';
+    
+    // Autocomplete suggestions only for Trie
+    document.getElementById('trieGroup').style.display = treeType === 'trie' ? 'block' : 'none';
+    document.getElementById('trieSearchGroup').style.display = treeType === 'trie' ? 'block' : 'none';
+    hideSuggestions();
+    if (treeType === 'fenwick') {
+        renderFenwickControls();
+    }
     
     // Update URL without reload
     // Update URL without reload
@@ -183,6 +400,100 @@ function switchTree(treeType) {
     }
 }
 
+/**
+ * Get constructor options for a tree type
+ * @param {string} treeType
+ * @returns {Object}
+ */
+function getTreeOptions(treeType) {
+    if (ORDER_TREE_TYPES.includes(treeType)) return { order: treeOrder };
+    if (treeType === 'segment') return { lazy: segmentLazy, aggregate: segmentAggregate };
+    if (treeType === 'fenwick') return { mode: fenwickMode };
+    if (treeType === 'trie') {
+        return { compressed: trieCompressed, caseLocale: trieCaseFolding ? TRIE_LOCALE : null };
+    }
+    return {};
+}
+
+/**
+ * Pseudocode entry of the current tree (modes with their own algorithms have their own entry)
+ * @returns {string}
+ */
+function getPseudocodeType() {
+    if (currentTreeType === 'trie' && trieCompressed) return 'radix';
+    return currentTreeType;
+}
+
+/**
+ * Replace the current tree with a new instance of the same type (new options)
+ * and insert the given values without animation
+ * @param {Array} values
+ */
+function rebuildCurrentTree(values) {
+    resetPlayback();
+    currentTree = TreeFactory.createTree(currentTreeType, getTreeOptions(currentTreeType));
+    values.forEach(value => currentTree.insert(value));
+    currentTree.clearAnimationSteps();
+    
+    currentVisualizer.setTree(currentTree);
+    arrayView.setTree(currentTree);
+    updateTreeStats();
+}
+
+/**
+ * Fill the order selector, as minimum degrees t (m = 2t) or as any max children m
+ * An odd m is not 2t for any t offered, so it stays listed as m in the t view
+ */
+function renderOrderOptions() {
+    const mode = document.getElementById('orderMode').value;
+    const select = document.getElementById('orderSelect');
+    
+    const options = mode === 'm'
+        ? MAX_CHILDREN.map(m => ({ m, label: `m = ${m}` }))
+        : MIN_DEGREES.map(t => ({ m: 2 * t, label: `t = ${t}` }));
+    
+    if (!options.some(option => option.m === treeOrder)) {
+        options.unshift({ m: treeOrder, label: `m = ${treeOrder}` });
+    }
+    
+    select.innerHTML = options.map(({ m, label }) => `
+        <option value="${m}" ${m === treeOrder ? 'selected' : ''}>${label}</option>
+    `).join('');
+    
+    document.getElementById('orderHint').textContent =
+        `Düğüm başına ${Math.ceil(treeOrder / 2) - 1} - ${treeOrder - 1} anahtar, en fazla ${treeOrder} çocuk`;
+}
+
+/**
+ * Handle order change: rebuild the tree with the new order from its current keys
+ */
+function handleOrderChange() {
+    treeOrder = parseInt(document.getElementById('orderSelect').value);
+    rebuildCurrentTree(currentTree.getValues());
+    renderOrderOptions();
+}
+
+/**
+ * Handle range scan over the leaf chain (B+ Tree)
+ */
+function handleRangeScan() {
+    const lo = getNumberInput('scanLow');
+    const hi = getNumberInput('scanHigh');
+    
+    if (lo === null || hi === null || lo > hi) {
+        alert('Lütfen lo ≤ hi olacak şekilde iki sayı girin');
+        return;
+    }
+    
+    const keys = currentTree.rangeScan(lo, hi);
+    
+    playOperation('rangeScan', () => {
+        alert(keys.length > 0
+            ? `[${lo}, ${hi}] aralığındaki ${keys.length} anahtar: ${keys.join(', ')}`
+            : `[${lo}, ${hi}] aralığında anahtar yok`);
+    });
+}
+
 /**
  * Handle balance operation
  */
@@ -193,7 +504,7 @@ function handleBalance() {
     currentTree.balance();
     
     // Redraw
-    currentVisualizer.draw();
+    playOperation('balance');
     
     // Update info
     updateTreeStats();
@@ -228,11 +539,31 @@ function updateTreeInfo() {
 }
 
 /**
- * Update tree statistics
+ * Update tree statistics (and the array strip, which mirrors the tree contents)
  */
 function updateTreeStats() {
     document.getElementById('nodeCount').textContent = currentTree.getSize();
     document.getElementById('treeHeight').textContent = currentTree.getHeight();
+    arrayView.update();
+    
+    if (currentTreeType === 'trie') {
+        updateTrieComparison();
+    }
+}
+
+/**
+ * Show how many nodes the same words take in a plain Trie and in a Radix Trie
+ */
+function updateTrieComparison() {
+    const words = currentTree.getAllWords();
+    const [plain, radix] = [new Trie(), new RadixTrie()].map(tree => {
+        words.forEach(word => tree.insert(word));
+        return tree.nodeCount;
+    });
+    
+    const saved = plain > 0 ? Math.round((1 - radix / plain) * 100) : 0;
+    document.getElementById('trieNodeComparison').textContent =
+        `Aynı ${words.length} kelime: düz Trie ${plain} düğüm, Radix ${radix} düğüm (%${saved} daha az)`;
 }
 
 /**
@@ -278,6 +609,44 @@ function getInputValue() {
     return value;
 }
 
+/**
+ * Play back the steps recorded by the last tree operation
+ * @param {string} operation - Operation name used for the pseudocode panel
+ * @param {Function} [onComplete] - Called after the final state is drawn
+ */
+function playOperation(operation, onComplete = null) {
+    pseudocodePanel.setOperation(getPseudocodeType(), operation);
+    animationPlayer.play(currentTree.getAnimationSteps(), onComplete);
+}
+
+/**
+ * Drop the loaded playback steps (tree changed without an animated operation)
+ */
+function resetPlayback() {
+    animationPlayer.reset();
+    currentVisualizer.clearHighlights();
+    updatePlaybackControls();
+    stepTimeline.update();
+}
+
+/**
+ * Update playback buttons and step counter from player state
+ */
+function updatePlaybackControls() {
+    const total = animationPlayer.steps.length;
+    const shown = animationPlayer.isAtEnd() ? total : animationPlayer.currentIndex + 1;
+    
+    document.getElementById('stepLabel').textContent = `${Math.max(0, shown)} / ${total}`;
+    document.getElementById('btnPlayPause').textContent = animationPlayer.isPlaying ? '⏸' : '⏯';
+    
+    const atStart = animationPlayer.currentIndex <= 0;
+    document.getElementById('btnStepStart').disabled = total === 0 || atStart;
+    document.getElementById('btnStepBack').disabled = total === 0 || atStart;
+    document.getElementById('btnPlayPause').disabled = total === 0;
+    document.getElementById('btnStepForward').disabled = total === 0 || animationPlayer.isAtEnd();
+    document.getElementById('btnStepEnd').disabled = total === 0 || animationPlayer.isAtEnd();
+}
+
 /**
  * Handle insert operation
  */
@@ -285,33 +654,39 @@ function handleInsert() {
     const value = getInputValue();
     if (value === null) return;
     
-    currentTree.insert(value);
-    currentVisualizer.draw();
+    // Trie insert refuses what is not a word (the other trees return nothing)
+    if (currentTree.insert(value) === false) {
+        alert('Lütfen geçerli bir kelime girin');
+        return;
+    }
+    playOperation('insert');
     updateTreeStats();
     
     // Clear input
     document.getElementById('inputValue').value = '';
+    hideSuggestions();
 }
 
 /**
  * Handle delete operation
  */
 function handleDelete() {
-    // Special case for Heap - deletes minimum element
-    if (currentTreeType === 'heap') {
+    // Special case for Heaps - deletes the root (minimum / maximum) element
+    if (currentTree instanceof BinaryHeap) {
         if (currentTree.isEmpty()) {
             alert('Heap boş!');
             return;
         }
         
+        const top = currentTree.peek();
         const deleted = currentTree.delete();
         if (!deleted) {
             alert('Silme işlemi başarısız');
         } else {
-            alert('Minimum eleman silindi');
+            alert(`${currentTree.priorityLabel} eleman (${top}) silindi`);
         }
         
-        currentVisualizer.draw();
+        playOperation('delete');
         updateTreeStats();
         return;
     }
@@ -325,11 +700,83 @@ function handleDelete() {
         alert(`Değer ${value} ağaçta bulunamadı`);
     }
     
-    currentVisualizer.draw();
+    playOperation('delete');
     updateTreeStats();
     
     // Clear input
     document.getElementById('inputValue').value = '';
+    hideSuggestions();
+}
+
+/**
+ * Show Trie completions of the typed prefix under the input
+ * and highlight the prefix path on the canvas
+ */
+function handleSuggestionInput() {
+    const prefix = document.getElementById('inputValue').value.trim();
+    
+    if (currentTreeType !== 'trie' || prefix.length === 0) {
+        hideSuggestions();
+        return;
+    }
+    
+    const ranked = document.getElementById('rankSuggestions').checked;
+    renderSuggestions(currentTree.autocomplete(prefix, SUGGESTION_LIMIT, ranked));
+    highlightPrefixPath(prefix);
+}
+
+/**
+ * Fill the suggestion dropdown (hidden when there is nothing to suggest)
+ * @param {{word: string, frequency: number}[]} suggestions
+ */
+function renderSuggestions(suggestions) {
+    const list = document.getElementById('suggestionList');
+    list.innerHTML = '';
+    list.style.display = suggestions.length > 0 ? 'block' : 'none';
+    
+    suggestions.forEach(({ word, frequency }) => {
+        const item = document.createElement('li');
+        item.className = 'suggestion-item';
+        item.textContent = word;
+        
+        if (frequency > 1) {
+            const count = document.createElement('span');
+            count.className = 'suggestion-frequency';
+            count.textContent = `×${frequency}`;
+            item.appendChild(count);
+        }
+        
+        item.addEventListener('click', () => {
+            document.getElementById('inputValue').value = word;
+            hideSuggestions();
+            highlightPrefixPath(word);
+        });
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Hide the suggestion dropdown
+ */
+function hideSuggestions() {
+    const list = document.getElementById('suggestionList');
+    list.style.display = 'none';
+    list.innerHTML = '';
+}
+
+/**
+ * Highlight the Trie nodes spelling a prefix (left alone while an operation is playing)
+ * @param {string} prefix
+ */
+function highlightPrefixPath(prefix) {
+    if (animationPlayer.isPlaying) return;
+    
+    const path = currentTree.getPrefixPath(prefix);
+    resetPlayback();
+    
+    if (path) {
+        currentVisualizer.highlightNodes(path.slice(1));
+    }
 }
 
 /**
@@ -341,13 +788,562 @@ function handleSearch() {
     
     const node = currentTree.search(value);
     
-    if (node) {
-        currentVisualizer.highlightNode(node, 'highlight');
-        alert(`Değer ${value} bulundu!`);
-    } else {
-        alert(`Değer ${value} ağaçta bulunamadı`);
-        currentVisualizer.clearHighlights();
+    playOperation('search', () => {
+        if (node) {
+            currentVisualizer.highlightNode(node, 'highlight');
+            alert(`Değer ${value} bulundu!`);
+        } else {
+            alert(`Değer ${value} ağaçta bulunamadı`);
+        }
+    });
+}
+
+/**
+ * Handle Radix toggle: rebuild the Trie over the same words
+ * (inserted as often as before, so suggestion frequencies are kept)
+ */
+function handleRadixToggle() {
+    trieCompressed = document.getElementById('radixToggle').checked;
+    rebuildCurrentTree(getTrieInsertions());
+    pseudocodePanel.setOperation(getPseudocodeType(), 'insert');
+}
+
+/**
+ * Handle case folding toggle: rebuild the Trie over the same words
+ * (folding back on merges words that differ only in case)
+ */
+function handleCaseFoldToggle() {
+    trieCaseFolding = document.getElementById('caseFoldToggle').checked;
+    rebuildCurrentTree(getTrieInsertions());
+}
+
+/**
+ * Words of the current Trie, each repeated as often as it was inserted
+ * @returns {string[]}
+ */
+function getTrieInsertions() {
+    return currentTree.autocomplete('', Infinity)
+        .flatMap(({ word, frequency }) => Array(frequency).fill(word));
+}
+
+/**
+ * Handle wildcard pattern search (Trie)
+ */
+function handlePatternSearch() {
+    const pattern = document.getElementById('patternInput').value.trim();
+    
+    if (pattern.length === 0) {
+        alert('Lütfen bir kalıp girin (örn: m?r*)');
+        return;
     }
+    
+    const matches = currentTree.patternSearch(pattern);
+    
+    playOperation('patternSearch', () => {
+        if (matches.length > 0) {
+            alert(`"${pattern}" kalıbına uyan kelimeler: ${matches.join(', ')}`);
+        } else {
+            alert(`"${pattern}" kalıbına uyan kelime yok`);
+        }
+    });
+}
+
+/**
+ * Handle fuzzy (edit distance) search (Trie)
+ */
+function handleFuzzySearch() {
+    const word = document.getElementById('fuzzyWord').value.trim();
+    const maxDistance = getNumberInput('fuzzyDistance');
+    
+    if (word.length === 0 || maxDistance === null || maxDistance < 0) {
+        alert('Lütfen bir kelime ve 0 veya daha büyük bir k değeri girin');
+        return;
+    }
+    
+    const matches = currentTree.fuzzySearch(word, maxDistance);
+    
+    playOperation('fuzzySearch', () => {
+        if (matches.length > 0) {
+            const list = matches.map(match => `${match.word} (${match.distance})`).join(', ');
+            alert(`"${word}" kelimesine en fazla ${maxDistance} uzaklıktaki kelimeler: ${list}`);
+        } else {
+            alert(`"${word}" kelimesine en fazla ${maxDistance} uzaklıkta kelime yok`);
+        }
+    });
+}
+
+/**
+ * Read an integer from a number input
+ * @param {string} id - Input element id
+ * @returns {number|null}
+ */
+function getNumberInput(id) {
+    const value = parseInt(document.getElementById(id).value);
+    return isNaN(value) ? null : value;
+}
+
+/**
+ * Read a comma / space separated list of integers from a text input
+ * @param {string} id - Input element id
+ * @returns {number[]|null} Empty array for an empty input, null if any item is not an integer
+ */
+function getNumberListInput(id) {
+    const text = document.getElementById(id).value.trim();
+    const values = text.split(/[\s,;]+/).filter(Boolean).map(Number);
+    return values.every(value => Number.isInteger(value)) ? values : null;
+}
+
+/**
+ * Handle k-th smallest query (BST / AVL / Red-Black)
+ */
+function handleKthSmallest() {
+    const k = getNumberInput('kthValue');
+    const size = currentTree.getSize();
+    
+    if (k === null || k < 1 || k > size) {
+        alert(size > 0 ? `Lütfen 1 ile ${size} arasında bir k girin` : 'Ağaç boş!');
+        return;
+    }
+    
+    const node = currentTree.kthSmallest(k);
+    
+    playOperation('kthSmallest', () => {
+        alert(`${k}. en küçük değer: ${node.value}`);
+    });
+}
+
+/**
+ * Handle rank query (BST / AVL / Red-Black)
+ */
+function handleRank() {
+    const value = getNumberInput('rankValue');
+    
+    if (value === null) {
+        alert('Lütfen bir sayı girin');
+        return;
+    }
+    
+    const rank = currentTree.rank(value);
+    
+    playOperation('rank', () => {
+        alert(`Ağaçta ${value} değerine eşit veya küçük ${rank} değer var (rank = ${rank})`);
+    });
+}
+
+/**
+ * Handle subtree size toggle: show n:size under every node
+ */
+function handleSubtreeSizeToggle() {
+    currentVisualizer.setShowSubtreeSize(document.getElementById('subtreeSizeToggle').checked);
+}
+
+/**
+ * Show the upper bound input only for range search
+ */
+function handleBstQueryTypeChange() {
+    const isRange = document.getElementById('bstQuerySelect').value === 'rangeSearch';
+    
+    document.getElementById('bstQueryValue').placeholder = isRange ? 'lo' : 'x';
+    document.getElementById('bstQueryHigh').style.display = isRange ? 'block' : 'none';
+    document.getElementById('bstQueryControls').classList.toggle('range-controls-wide', !isRange);
+}
+
+/**
+ * Handle the query dropdown (BST / AVL / Red-Black): floor, ceiling,
+ * predecessor, successor or range search, with the result highlighted at the end
+ */
+function handleBstQuery() {
+    const query = document.getElementById('bstQuerySelect').value;
+    const value = getNumberInput('bstQueryValue');
+    
+    if (query === 'rangeSearch') {
+        const high = getNumberInput('bstQueryHigh');
+        if (value === null || high === null || value > high) {
+            alert('Lütfen lo ≤ hi olacak şekilde iki sayı girin');
+            return;
+        }
+        
+        const nodes = currentTree.rangeSearch(value, high);
+        playOperation('rangeSearch', () => {
+            currentVisualizer.highlightNodes(nodes);
+            alert(nodes.length > 0
+                ? `[${value}, ${high}] aralığındaki ${nodes.length} değer: ${nodes.map(node => node.value).join(', ')}`
+                : `[${value}, ${high}] aralığında değer yok`);
+        });
+        return;
+    }
+    
+    if (value === null) {
+        alert('Lütfen bir sayı girin');
+        return;
+    }
+    
+    const node = currentTree[query](value);
+    const label = BST_NEAREST_QUERIES[query](value);
+    
+    playOperation(query, () => {
+        if (node) {
+            currentVisualizer.highlightNode(node, 'highlight');
+            alert(`${label}: ${node.value}`);
+        } else {
+            alert(`Ağaçta ${label} yok`);
+        }
+    });
+}
+
+/**
+ * Handle range query (Segment Tree)
+ */
+function handleRangeQuery() {
+    const l = getNumberInput('queryLeft');
+    const r = getNumberInput('queryRight');
+    
+    if (l === null || r === null) {
+        alert('Lütfen l ve r indekslerini girin');
+        return;
+    }
+    
+    const result = currentTree.query(l, r);
+    if (result === null) {
+        alert(`Geçersiz aralık: 0 ≤ l ≤ r < ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation('query', () => {
+        alert(`[${l}, ${r}] aralığı için ${currentTree.getAggregate().label}: ${result}`);
+    });
+}
+
+/**
+ * Handle point update (Segment Tree)
+ */
+function handlePointUpdate() {
+    const index = getNumberInput('updateIndex');
+    const value = getNumberInput('updateValue');
+    
+    if (index === null || value === null) {
+        alert('Lütfen indeks ve yeni değeri girin');
+        return;
+    }
+    
+    if (!currentTree.update(index, value)) {
+        alert(`Geçersiz indeks: 0 ≤ indeks < ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation('update');
+    updateTreeStats();
+}
+
+/**
+ * Switch Segment Tree between the plain and the lazy propagation variant
+ */
+function handleLazyToggle() {
+    segmentLazy = document.getElementById('lazyToggle').checked;
+    document.getElementById('rangeUpdateControls').style.display = segmentLazy ? 'block' : 'none';
+    
+    // Lazy range updates only exist for some aggregates
+    if (segmentLazy && !LazySegmentTree.supportsAggregate(segmentAggregate)) {
+        segmentAggregate = 'sum';
+    }
+    
+    rebuildCurrentTree(currentTree.getData());
+    renderAggregateOptions();
+}
+
+/**
+ * Fill the aggregate selector (aggregates without lazy support are disabled in lazy mode)
+ */
+function renderAggregateOptions() {
+    const select = document.getElementById('aggregateSelect');
+    
+    select.innerHTML = Object.entries(SegmentTree.AGGREGATES).map(([key, aggregate]) => {
+        const disabled = segmentLazy && !LazySegmentTree.supportsAggregate(key);
+        return `
+            <option value="${key}" ${key === segmentAggregate ? 'selected' : ''} ${disabled ? 'disabled' : ''}>
+                ${aggregate.label}${disabled ? ' (lazy desteklemez)' : ''}
+            </option>
+        `;
+    }).join('');
+}
+
+/**
+ * Handle aggregate change: rebuild the Segment Tree over the same data
+ */
+function handleAggregateChange() {
+    segmentAggregate = document.getElementById('aggregateSelect').value;
+    rebuildCurrentTree(currentTree.getData());
+}
+
+/**
+ * Handle range add / range assign (Lazy Segment Tree)
+ */
+function handleRangeUpdate() {
+    const l = getNumberInput('rangeUpdateLeft');
+    const r = getNumberInput('rangeUpdateRight');
+    const value = getNumberInput('rangeUpdateValue');
+    const type = document.getElementById('rangeUpdateType').value;
+    
+    if (l === null || r === null || value === null) {
+        alert('Lütfen l, r ve değeri girin');
+        return;
+    }
+    
+    const updated = type === 'assign'
+        ? currentTree.rangeAssign(l, r, value)
+        : currentTree.rangeAdd(l, r, value);
+    
+    if (!updated) {
+        alert(`Geçersiz aralık: 0 ≤ l ≤ r < ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation(type === 'assign' ? 'rangeAssign' : 'rangeAdd');
+    updateTreeStats();
+}
+
+/**
+ * Handle decrease-key (Heap): move an element, chosen by value or by array index,
+ * toward the root with a new key
+ */
+function handleDecreaseKey() {
+    const target = getNumberInput('decreaseKeyValue');
+    const newValue = getNumberInput('decreaseKeyNewValue');
+    const byIndex = document.getElementById('decreaseKeyTarget').value === 'index';
+    
+    if (target === null || newValue === null) {
+        alert(byIndex ? 'Lütfen indeksi ve yeni değeri girin' : 'Lütfen mevcut değeri ve yeni değeri girin');
+        return;
+    }
+    
+    if (byIndex && (!Number.isInteger(target) || target < 0 || target >= currentTree.getSize())) {
+        alert(`Geçersiz indeks: 0 ≤ i < ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    if (!byIndex && !currentTree.array.includes(target)) {
+        alert(`Değer ${target} heap'te bulunamadı`);
+        return;
+    }
+    
+    const current = byIndex ? currentTree.array[target] : target;
+    const updated = byIndex
+        ? currentTree.decreaseKeyAt(target, newValue)
+        : currentTree.decreaseKey(target, newValue);
+    
+    if (!updated) {
+        alert(`Yeni değer ${newValue}, ${current} değerinden daha öncelikli (kök tarafında) olmalı`);
+        return;
+    }
+    
+    playOperation('decreaseKey');
+    updateTreeStats();
+}
+
+/**
+ * Match the decrease-key input to the chosen target (value or array index)
+ */
+function handleDecreaseKeyTargetChange() {
+    const byIndex = document.getElementById('decreaseKeyTarget').value === 'index';
+    document.getElementById('decreaseKeyValue').placeholder = byIndex ? 'indeks' : 'değer';
+}
+
+/**
+ * Handle delete of an arbitrary value (Heap)
+ */
+function handleDeleteAt() {
+    const value = getNumberInput('deleteAtValue');
+    
+    if (value === null) {
+        alert('Lütfen silinecek değeri girin');
+        return;
+    }
+    
+    if (!currentTree.deleteAt(value)) {
+        alert(`Değer ${value} heap'te bulunamadı`);
+        return;
+    }
+    
+    playOperation('deleteAt');
+    updateTreeStats();
+}
+
+/**
+ * Handle bottom-up heap construction from a comma separated list
+ */
+function handleBuildHeap() {
+    const values = getNumberListInput('buildHeapValues');
+    
+    if (!values || values.length === 0) {
+        alert('Lütfen virgülle ayrılmış tam sayılar girin (örn: 9, 4, 7, 1)');
+        return;
+    }
+    
+    currentTree.buildHeap(values);
+    playOperation('buildHeap');
+    updateTreeStats();
+}
+
+/**
+ * Handle in-place heap sort of the given list (the current heap when left empty)
+ */
+function handleHeapSort() {
+    const values = getNumberListInput('heapSortValues');
+    
+    if (!values) {
+        alert('Lütfen virgülle ayrılmış tam sayılar girin (örn: 5, 2, 8, 1)');
+        return;
+    }
+    
+    if (values.length === 0 && currentTree.array.length === 0) {
+        alert('Sıralanacak değer yok: değer girin veya önce heap\'e eleman ekleyin');
+        return;
+    }
+    
+    const sorted = currentTree.heapSort(values.length > 0 ? values : currentTree.array);
+    playOperation('heapSort', () => {
+        alert(`Sıralı dizi: ${sorted.join(', ')}`);
+    });
+    updateTreeStats();
+}
+
+/**
+ * Fill the Fenwick mode selector and show the controls the mode supports
+ */
+function renderFenwickControls() {
+    const select = document.getElementById('fenwickModeSelect');
+    
+    select.innerHTML = Object.entries(FenwickTree.MODES).map(([key, mode]) => `
+        <option value="${key}" ${key === fenwickMode ? 'selected' : ''}>${mode.label}</option>
+    `).join('');
+    
+    Object.entries(FENWICK_CONTROLS).forEach(([id, operation]) => {
+        document.getElementById(id).style.display = currentTree.supports(operation) ? 'block' : 'none';
+    });
+}
+
+/**
+ * Handle Fenwick mode change: rebuild the tree over the same data
+ */
+function handleFenwickModeChange() {
+    fenwickMode = document.getElementById('fenwickModeSelect').value;
+    rebuildCurrentTree(currentTree.getData());
+    renderFenwickControls();
+}
+
+/**
+ * Handle point add / point set (Fenwick Tree)
+ */
+function handleFenwickPointUpdate() {
+    const index = getNumberInput('fenwickUpdateIndex');
+    const value = getNumberInput('fenwickUpdateValue');
+    const type = document.getElementById('fenwickUpdateType').value;
+    
+    if (index === null || value === null) {
+        alert('Lütfen indeks ve değeri girin');
+        return;
+    }
+    
+    const updated = type === 'set'
+        ? currentTree.pointSet(index, value)
+        : currentTree.pointAdd(index, value);
+    
+    if (!updated) {
+        alert(`Geçersiz indeks: 1 ≤ i ≤ ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation(type === 'set' ? 'pointSet' : 'pointAdd');
+    updateTreeStats();
+}
+
+/**
+ * Handle range add (Fenwick Tree, range update modes)
+ */
+function handleFenwickRangeUpdate() {
+    const l = getNumberInput('fenwickRangeUpdateLeft');
+    const r = getNumberInput('fenwickRangeUpdateRight');
+    const value = getNumberInput('fenwickRangeUpdateValue');
+    
+    if (l === null || r === null || value === null) {
+        alert('Lütfen l, r ve değeri girin');
+        return;
+    }
+    
+    if (!currentTree.rangeAdd(l, r, value)) {
+        alert(`Geçersiz aralık: 1 ≤ l ≤ r ≤ ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation('rangeAdd');
+    updateTreeStats();
+}
+
+/**
+ * Handle prefix sum query (Fenwick Tree)
+ */
+function handleFenwickPrefixQuery() {
+    const index = getNumberInput('fenwickPrefixIndex');
+    
+    if (index === null) {
+        alert('Lütfen indeksi girin');
+        return;
+    }
+    
+    const result = currentTree.prefixQuery(index);
+    if (result === null) {
+        alert(`Geçersiz indeks: 1 ≤ i ≤ ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation('prefixQuery', () => {
+        alert(`[1, ${index}] önek toplamı: ${result}`);
+    });
+}
+
+/**
+ * Handle range sum query (Fenwick Tree)
+ */
+function handleFenwickRangeQuery() {
+    const l = getNumberInput('fenwickQueryLeft');
+    const r = getNumberInput('fenwickQueryRight');
+    
+    if (l === null || r === null) {
+        alert('Lütfen l ve r indekslerini girin');
+        return;
+    }
+    
+    const result = currentTree.rangeQuery(l, r);
+    if (result === null) {
+        alert(`Geçersiz aralık: 1 ≤ l ≤ r ≤ ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation('rangeQuery', () => {
+        alert(`[${l}, ${r}] aralık toplamı: ${result}`);
+    });
+}
+
+/**
+ * Handle point query (Fenwick Tree, range update / point query mode)
+ */
+function handleFenwickPointQuery() {
+    const index = getNumberInput('fenwickPointIndex');
+    
+    if (index === null) {
+        alert('Lütfen indeksi girin');
+        return;
+    }
+    
+    const result = currentTree.pointQuery(index);
+    if (result === null) {
+        alert(`Geçersiz indeks: 1 ≤ i ≤ ${currentTree.getSize()} olmalı`);
+        return;
+    }
+    
+    playOperation('pointQuery', () => {
+        alert(`a[${index}] = ${result}`);
+    });
 }
 
 /**
@@ -355,6 +1351,7 @@ function handleSearch() {
  */
 function handleReset() {
     if (confirm('Ağacı sıfırlamak istediğinizden emin misiniz?')) {
+        resetPlayback();
         currentTree.clear();
         currentVisualizer.draw();
         updateTreeStats();
@@ -366,14 +1363,32 @@ function handleReset() {
  */
 function handleRandomInsert() {
     for (let i = 0; i < 5; i++) {
-        const randomValue = Math.floor(Math.random() * 100) + 1;
+        const randomValue = currentTreeType === 'trie'
+            ? getRandomWord()
+            : Math.floor(Math.random() * 100) + 1;
         currentTree.insert(randomValue);
     }
     
+    // Bulk insert: skip step playback and show the final state
+    resetPlayback();
+    currentTree.clearAnimationSteps();
     currentVisualizer.draw();
     updateTreeStats();
 }
 
+/**
+ * Random Trie word of two or three syllables from TRIE_RANDOM_SYLLABLES
+ * @returns {string}
+ */
+function getRandomWord() {
+    const length = 2 + Math.floor(Math.random() * 2);
+    let word = '';
+    for (let i = 0; i < length; i++) {
+        word += TRIE_RANDOM_SYLLABLES[Math.floor(Math.random() * TRIE_RANDOM_SYLLABLES.length)];
+    }
+    return word;
+}
+
 /**
  * Handle sample insert
  */
@@ -395,6 +1410,8 @@ function handleSampleInsert() {
             });
         }
         
+        resetPlayback();
+        currentTree.clearAnimationSteps();
         currentVisualizer.draw();
         updateTreeStats();
     }
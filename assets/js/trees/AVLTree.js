@@ -9,7 +9,7 @@
  * - Guaranteed O(log n) operations
  */
 
-class AVLTree extends TreeBase {
+class AVLTree extends SearchTreeBase {
     constructor() {
         super('AVL Tree');
     }
@@ -63,9 +63,11 @@ class AVLTree extends TreeBase {
         x.parent = y.parent;
         y.parent = x;
 
-        // Update heights
+        // Update heights and subtree sizes (y is now below x)
         this._updateHeight(y);
         this._updateHeight(x);
+        this._updateSize(y);
+        this._updateSize(x);
 
         return x;
     }
@@ -89,9 +91,11 @@ class AVLTree extends TreeBase {
         y.parent = x.parent;
         x.parent = y;
 
-        // Update heights
+        // Update heights and subtree sizes (x is now below y)
         this._updateHeight(x);
         this._updateHeight(y);
+        this._updateSize(x);
+        this._updateSize(y);
 
         return y;
     }
@@ -132,8 +136,9 @@ class AVLTree extends TreeBase {
             return node;
         }
 
-        // Update height
+        // Update height and subtree size
         this._updateHeight(node);
+        this._updateSize(node);
 
         // Get balance factor
         const balance = this._getBalance(node);
@@ -226,8 +231,9 @@ class AVLTree extends TreeBase {
 
         if (node === null) return null;
 
-        // Update height
+        // Update height and subtree size
         this._updateHeight(node);
+        this._updateSize(node);
 
         // Get balance factor
         const balance = this._getBalance(node);
@@ -20,11 +20,17 @@ class BPlusTreeNode {
         this.height = 40;
         this.highlighted = false;
         this.highlightColor = null;
+        this.isHighlighted = false;
+        this.isVisited = false;
+        this.isCurrent = false;
     }
 
     resetVisualState() {
         this.highlighted = false;
         this.highlightColor = null;
+        this.isHighlighted = false;
+        this.isVisited = false;
+        this.isCurrent = false;
     }
 }
 
@@ -34,12 +40,14 @@ class BPlusTreeNode {
 class BPlusTree extends TreeBase {
     /**
      * @param {number} t - Minimum degree
-     * Max keys = 2*t - 1
-     * Min keys = t - 1
+     * @param {number} [order] - Order m: maximum number of children (m >= 3), 2t by default
+     * Max keys = m - 1
+     * Min keys = t - 1 (except the root), where t = ceil(m / 2) also for an odd m
      */
-    constructor(t = 2) {
+    constructor(t = 2, order = 2 * t) {
         super('B+ Tree');
-        this.t = t;
+        this.order = order;
+        this.t = Math.ceil(order / 2);
         this.root = null;
     }
 
@@ -76,10 +84,72 @@ class BPlusTree extends TreeBase {
     }
 
     /**
-     * Insert a value
+     * All keys in [lo, hi] in sorted order
+     * Descends once to the leaf where lo belongs, then walks the leaf chain through
+     * `next` pointers instead of going back up, so k results cost O(log n + k)
+     * @param {*} lo
+     * @param {*} hi
+     * @returns {Array} Keys in the range
+     */
+    rangeScan(lo, hi) {
+        this.clearAnimationSteps();
+
+        const result = [];
+        if (!this.root || lo > hi) return result;
+
+        // Separators equal to lo send it right, like search
+        let node = this.root;
+        while (!node.isLeaf) {
+            let i = 0;
+            while (i < node.keys.length && lo >= node.keys[i]) i++;
+
+            this._addAnimationStep('visit', {
+                node,
+                index: i,
+                description: `≤ ${lo} olan ayırıcı sayısı ${i}, ${i + 1}. çocuğa inilir`
+            });
+            node = node.children[i];
+        }
+
+        const leaves = [];
+        let fromLink = false;
+
+        while (node) {
+            const found = node.keys.filter(key => key >= lo && key <= hi);
+            const stopped = node.keys.some(key => key > hi);
+
+            result.push(...found);
+            if (found.length > 0) leaves.push(node);
+
+            const reached = fromLink ? 'next bağlantısıyla gelinen yaprak' : 'İlk yaprak';
+            const taken = found.length > 0 ? `${found.join(', ')} alındı` : 'aralıkta anahtar yok';
+            this._addAnimationStep('scan', {
+                node,
+                keys: found,
+                stopped,
+                resultNodes: [...leaves],
+                description: stopped || !node.next
+                    ? `${reached}: ${taken}, tarama bitti (${result.length} anahtar)`
+                    : `${reached}: ${taken}, köke dönmeden sonraki yaprağa geçiliyor`
+            });
+
+            if (stopped) break;
+            node = node.next;
+            fromLink = true;
+        }
+
+        return result;
+    }
+
+    /**
+     * Insert a value (an existing key is ignored)
+     * The key goes into its leaf; a node that overflows (m keys) is split and
+     * the split may overflow the parent in turn
      * @param {*} value 
      */
     insert(value) {
+        this.clearAnimationSteps();
+
         if (!this.root) {
             this.root = new BPlusTreeNode(true);
             this.root.keys[0] = value;
@@ -88,219 +158,296 @@ class BPlusTree extends TreeBase {
             return;
         }
 
-        let root = this.root;
-        if (root.keys.length === 2 * this.t - 1) {
-            let s = new BPlusTreeNode(false);
-            this.root = s;
-            s.children[0] = root;
-            root.parent = s;
-            this._splitChild(s, 0);
-            this._insertNonFull(s, value);
-        } else {
-            this._insertNonFull(root, value);
+        // Walk down to the leaf (equal keys go right), remembering the child index at each level
+        const path = [];
+        let node = this.root;
+        while (!node.isLeaf) {
+            let i = 0;
+            while (i < node.keys.length && value >= node.keys[i]) {
+                this._addAnimationStep('compare', { node, index: i, value });
+                i++;
+            }
+            path.push({ node, index: i });
+            node = node.children[i];
         }
-        this.nodeCount++;
-    }
 
-    /**
-     * Insert into non-full node
-     * @param {BPlusTreeNode} x 
-     * @param {*} value 
-     */
-    _insertNonFull(x, value) {
-        let i = x.keys.length - 1;
+        // Keys are unique like in the binary search trees, so a range scan that
+        // lands right of a separator equal to lo cannot miss a copy on its left
+        if (node.keys.includes(value)) return;
 
-        if (x.isLeaf) {
-            while (i >= 0 && value < x.keys[i]) {
-                x.keys[i + 1] = x.keys[i];
-                i--;
-            }
-            x.keys[i + 1] = value;
-            this._addAnimationStep('insert_leaf', { node: x, value });
-        } else {
-            while (i >= 0 && value < x.keys[i]) {
-                i--;
-            }
-            i++;
-            if (x.children[i].keys.length === 2 * this.t - 1) {
-                this._splitChild(x, i);
-                if (value > x.keys[i]) {
-                    i++;
-                } else if (value === x.keys[i]) {
-                     // Handle equality if needed, B+ usually goes to right
-                     i++;
-                }
+        let i = 0;
+        while (i < node.keys.length && value >= node.keys[i]) i++;
+        node.keys.splice(i, 0, value);
+        this._addAnimationStep('insert_leaf', { node, value });
+        this.nodeCount++;
+
+        // Split overflowing nodes on the way back up
+        while (node.keys.length === this.order) {
+            if (path.length === 0) {
+                const s = new BPlusTreeNode(false);
+                s.children[0] = node;
+                node.parent = s;
+                this.root = s;
+                this._splitChild(s, 0);
+                break;
             }
-            this._insertNonFull(x.children[i], value);
+
+            const { node: parent, index } = path.pop();
+            this._splitChild(parent, index);
+            node = parent;
         }
     }
 
     /**
-     * Split child node
+     * Split an overflowing child
      * @param {BPlusTreeNode} x - Parent
      * @param {number} index - Index of child
      */
     _splitChild(x, index) {
-        let y = x.children[index];
-        let z = new BPlusTreeNode(y.isLeaf);
+        const y = x.children[index];
+        const z = new BPlusTreeNode(y.isLeaf);
         z.parent = x;
 
         // B+ Tree split difference:
         // Leaf split: Copy middle key up, keep it in right leaf.
         // Internal split: Push middle key up, exclude it from new node.
+        const mid = Math.floor(y.keys.length / 2);
+        let separator;
 
         if (y.isLeaf) {
-            // Returns median index for t
-            // t=2, max keys 3. 0,1,2. Split -> mid=1?
-            // If keys < 2t-1 (max), we don't split.
-            // Split when full (2t-1 keys).
-            // Example t=2, keys=3 [10, 20, 30]. Full.
-            // New z gets keys from t to 2t-2.
-            // y keeps 0 to t-1.
-            
-            // Move last t-1 keys to z
-            // For t=2, max=3 keys. 0,1,2.
-            // z gets keys[2..2]. y keeps keys[0..1]. Wait.
-            // B+ leaf split: split at t.
-            // keys 0..(t-1) -> y
-            // keys t..(2t-2) -> z
-            
-            // Standard:
-            // y has 2*t - 1 keys.
-            // Split point usually t.
-            
-            for (let j = 0; j < this.t - 1; j++) {
-                z.keys[j] = y.keys[j + this.t];
-            }
-            
-            // Adjust y and z sizes
-             y.keys.length = this.t; // Leaf needs to keep t keys? Or t-1?
-             // Actually B+ tree leaves usually split 50/50.
-             // If degree is order m (max children). Max keys m-1.
-             // Here t is min-degree. Max keys 2t-1. Min keys t-1.
-             // Full node 2t-1 keys.
-             // Leaf split: existing 2t-1. New comes. logic handles before full?
-             // No, insertNonFull calls split if child IS full (2t-1).
-             
-             // Split 2t-1 keys into:
-             // y: 0 to t-2 (t-1 keys)
-             // z: t to 2t-2 (t-1 keys)
-             // parent: takes key[t-1] but COPY it?
-             // For leaf: COPY middle key to parent.
-             // key[t-1] is middle.
-             
-             // Leaf split logic:
-             // y has [k0 ... k(2t-2)]
-             // z gets [k(t) ... k(2t-2)] (t-1 keys)
-             // y keeps [k0 ... k(t-1)] (t keys)
-             // Push up k(t-1)? No, k(t-1) stays in y? Or z?
-             // B+ Tree standard:
-             // Left: ceil(m/2). Right: floor(m/2) or similar.
-             // Copy up the first key of the right node.
-             
-             // Let's stick to Introduction to Algorithms style B-Trees and adapt for B+.
-             // CLRS B-Tree: Split pushes median up.
-             // B+ adapt:
-             // Leaf: Move t keys to z. (indexes t-1 to 2t-2).
-             // y keeps t-1 keys (0 to t-2).
-             // Copy key[t-1] to parent.
-             // Wait, total 2t-1. 
-             // z: t keys? index t-1 is the pivot for parent?
-             
-             // Let's implement simplified B+ split.
-             // y: [0...t-1] (t keys)
-             // z: [t...2t-1] (t-1 keys?? No we have 2t-1 total).
-             // 2t-1 keys. 
-             // y keeps 0 to t-1. (t keys)
-             // z gets t to 2t-2. (t-1 keys)
-             // parent gets COPY of key[t-1]? Or key[t]?
-             // Actually, parent gets key[t-1] (the t-th key).
-             // And that key MUST appear in z as first key? Or y as last?
-             // In B+, all keys in leaves. So if pushed up, must remain in leaf.
-             // Usually remains in right leaf (z) as first key.
-             
-             // Correct logic:
-             // y has 2*t - 1 keys.
-             // z gets keys from t-1 to 2*t - 2. (t keys)
-             // y keeps keys from 0 to t-2. (t-1 keys)
-             // pivot is key[t-1]. It goes to z[0] AND copied to parent.
-             
-            let pivotIndex = this.t - 1;
-            
-            // Move keys to z starting from pivot
-            for (let j = 0; j < this.t; j++) { // t keys
-                if (pivotIndex + j < y.keys.length)
-                    z.keys[j] = y.keys[pivotIndex + j];
-            }
-            
+            // y keeps [0 .. mid - 1], z gets [mid ..] and its first key is copied up
+            z.keys = y.keys.slice(mid);
+            y.keys.length = mid;
+            separator = z.keys[0];
+
             // Link leaves
             z.next = y.next;
             y.next = z;
-            
-            y.keys.length = this.t - 1; // y removes pivot and rest
-            
-            // Parent insert
-            // Shift children of x
-            for (let j = x.children.length; j > index + 1; j--) {
-                x.children[j] = x.children[j - 1];
-            }
-            x.children[index + 1] = z;
-            
-            // Shift keys of x
-            for (let j = x.keys.length; j > index; j--) {
-                x.keys[j] = x.keys[j - 1];
+        } else {
+            // Internal node split (same as B-Tree)
+            separator = y.keys[mid];
+
+            z.keys = y.keys.slice(mid + 1);
+            z.children = y.children.slice(mid + 1);
+            z.children.forEach(child => {
+                child.parent = z;
+            });
+
+            y.keys.length = mid;
+            y.children.length = mid + 1;
+        }
+
+        x.keys.splice(index, 0, separator);
+        x.children.splice(index + 1, 0, z);
+
+        this._addAnimationStep('split', { parent: x, child: y, newChild: z });
+    }
+
+    /**
+     * Delete a value
+     * The key is removed from its leaf, underfull nodes are fixed on the way back up
+     * (borrow from a sibling or merge with it), then a separator equal to the
+     * deleted key is replaced by the first key of its right subtree
+     * @param {*} value
+     * @returns {boolean}
+     */
+    delete(value) {
+        this.clearAnimationSteps();
+
+        if (!this.root || !this._containsKey(value)) {
+            return false;
+        }
+
+        this._deleteFromNode(this.root, value);
+        this.nodeCount--;
+
+        if (this.root.keys.length === 0) {
+            // Empty leaf root: tree is empty. Empty internal root: its only child is the new root
+            this.root = this.root.isLeaf ? null : this.root.children[0];
+            if (this.root) {
+                this.root.parent = null;
+                this._addAnimationStep('root_change', {
+                    node: this.root,
+                    description: 'Kök boşaldı, ağacın yüksekliği bir azaldı'
+                });
             }
-            // Copy pivot to parent
-            x.keys[index] = z.keys[0]; // The pivot is now at z[0]
+        }
+
+        this._replaceSeparator(value);
+
+        eventBus.emit(EVENTS.NODE_DELETED, { value, tree: this });
+        return true;
+    }
+
+    /**
+     * Helper: Delete from the subtree rooted at node, fixing underfull children on return
+     * @private
+     */
+    _deleteFromNode(node, value) {
+        if (node.isLeaf) {
+            const index = node.keys.indexOf(value);
+            this._addAnimationStep('delete', { node, index, value });
+            node.keys.splice(index, 1);
+            return;
+        }
 
+        // Equal keys live in the right subtree of a separator
+        let i = 0;
+        while (i < node.keys.length && value >= node.keys[i]) {
+            this._addAnimationStep('compare', { node, index: i, value });
+            i++;
+        }
+
+        this._deleteFromNode(node.children[i], value);
 
+        if (node.children[i].keys.length < this.t - 1) {
+            this._fixChild(node, i);
+        }
+    }
+
+    /**
+     * Helper: Refill an underfull child by borrowing from a sibling or merging with it
+     * @private
+     */
+    _fixChild(parent, i) {
+        const left = i > 0 ? parent.children[i - 1] : null;
+        const right = i < parent.keys.length ? parent.children[i + 1] : null;
+
+        if (left && left.keys.length > this.t - 1) {
+            this._borrowFromLeft(parent, i);
+        } else if (right && right.keys.length > this.t - 1) {
+            this._borrowFromRight(parent, i);
+        } else if (left) {
+            this._merge(parent, i - 1);
         } else {
-            // Internal node split (same as B-Tree)
-            // Median moves up, NOT copied.
-             
-            for (let j = 0; j < this.t - 1; j++) {
-                z.keys[j] = y.keys[j + this.t];
-            }
-            
-            if (!y.isLeaf) {
-                for (let j = 0; j < this.t; j++) {
-                    z.children[j] = y.children[j + this.t];
-                    if (z.children[j]) z.children[j].parent = z;
+            this._merge(parent, i);
+        }
+    }
+
+    /**
+     * Helper: Move the last key of the left sibling into children[i]
+     * @private
+     */
+    _borrowFromLeft(parent, i) {
+        const child = parent.children[i];
+        const sibling = parent.children[i - 1];
+
+        this._addAnimationStep('borrow', { parent, node: child, sibling, direction: 'left' });
+
+        if (child.isLeaf) {
+            // Leaf: the key itself moves, the separator becomes the new first key of child
+            child.keys.unshift(sibling.keys.pop());
+            parent.keys[i - 1] = child.keys[0];
+        } else {
+            // Internal: rotate through the parent and move the last child along
+            child.keys.unshift(parent.keys[i - 1]);
+            parent.keys[i - 1] = sibling.keys.pop();
+
+            const moved = sibling.children.pop();
+            moved.parent = child;
+            child.children.unshift(moved);
+        }
+    }
+
+    /**
+     * Helper: Move the first key of the right sibling into children[i]
+     * @private
+     */
+    _borrowFromRight(parent, i) {
+        const child = parent.children[i];
+        const sibling = parent.children[i + 1];
+
+        this._addAnimationStep('borrow', { parent, node: child, sibling, direction: 'right' });
+
+        if (child.isLeaf) {
+            child.keys.push(sibling.keys.shift());
+            parent.keys[i] = sibling.keys[0];
+        } else {
+            child.keys.push(parent.keys[i]);
+            parent.keys[i] = sibling.keys.shift();
+
+            const moved = sibling.children.shift();
+            moved.parent = child;
+            child.children.push(moved);
+        }
+    }
+
+    /**
+     * Helper: Merge children[i + 1] into children[i] and drop the separator between them
+     * @private
+     */
+    _merge(parent, i) {
+        const child = parent.children[i];
+        const sibling = parent.children[i + 1];
+
+        this._addAnimationStep('merge', { parent, node: child, sibling, value: parent.keys[i] });
+
+        if (child.isLeaf) {
+            // Separator only routed between the leaves, it is not kept
+            child.keys.push(...sibling.keys);
+            child.next = sibling.next;
+        } else {
+            // Internal: the separator comes down between the two key lists
+            child.keys.push(parent.keys[i], ...sibling.keys);
+            sibling.children.forEach(grandChild => {
+                grandChild.parent = child;
+                child.children.push(grandChild);
+            });
+        }
+
+        parent.keys.splice(i, 1);
+        parent.children.splice(i + 1, 1);
+    }
+
+    /**
+     * Helper: Replace a separator that still holds the deleted key
+     * with the first key of its right subtree
+     * @private
+     */
+    _replaceSeparator(value) {
+        let node = this.root;
+
+        while (node && !node.isLeaf) {
+            const index = node.keys.indexOf(value);
+
+            if (index !== -1) {
+                let leaf = node.children[index + 1];
+                while (!leaf.isLeaf) {
+                    leaf = leaf.children[0];
                 }
+
+                node.keys[index] = leaf.keys[0];
+                this._addAnimationStep('separator', { node, index, value: leaf.keys[0], oldValue: value });
+                return;
             }
-            
-            y.keys.length = this.t - 1;
-            y.children.length = this.t;
-            
-            for (let j = x.children.length; j > index + 1; j--) {
-                x.children[j] = x.children[j - 1];
-            }
-            x.children[index + 1] = z;
-            
-            for (let j = x.keys.length; j > index; j--) {
-                x.keys[j] = x.keys[j - 1];
-            }
-            x.keys[index] = y.keys[this.t - 1]; // Move median up (original y has it at t-1 before truncation? wait. y keys was 2t-1. median at t-1. yes. )
-            // But we truncated y.keys to t-1. So the median was effectively removed from y.
-            // Wait, previous logic `y.keys.length = this.t - 1` removes index `t-1` and above.
-            // So we must access `y.keys` BEFORE truncating or access via temp.
-            // In B-Tree code I did:
-            // x.keys[i] = y.keys[this.t - 1];
-            // AFTER loops but BEFORE truncation?
-            // Let's recheck BTree code logic.
-            // BTree code:
-            // for j... z.keys[j] = y.keys[j+t]  <-- takes from t to 2t-2
-            // y.keys[t-1] is the median.
-            // code said: x.keys[i] = y.keys[this.t - 1];
-            // Yes.
+
+            let i = 0;
+            while (i < node.keys.length && value >= node.keys[i]) i++;
+            node = node.children[i];
         }
-        
-        this._addAnimationStep('split', { parent: x, child: y, newChild: z });
     }
 
-    delete(value) {
-        console.warn('Delete not fully implemented for B+ Tree yet');
-        return false;
+    /**
+     * Check whether a key exists in the leaves (without recording steps)
+     * @private
+     */
+    _containsKey(value) {
+        let node = this.root;
+        while (!node.isLeaf) {
+            let i = 0;
+            while (i < node.keys.length && value >= node.keys[i]) i++;
+            node = node.children[i];
+        }
+        return node.keys.includes(value);
+    }
+
+    /**
+     * Height counted in levels (all leaves are on the same level)
+     * @private
+     */
+    _getHeight(node) {
+        if (!node) return 0;
+        return 1 + (node.isLeaf ? 0 : this._getHeight(node.children[0]));
     }
     
     // Override traversals
@@ -314,12 +461,9 @@ class BPlusTree extends TreeBase {
         }
         
         while (node) {
+            // Keys are reported as value holders, the leaf is passed along for highlighting
             for (let val of node.keys) {
-                // Mock a node structure needed by callback? or just value?
-                // Visualizer usually expects a node object to highlight.
-                // We can pass the leaf node.
-                callback(node); // This might be called multiple times for same node if we iterate keys.
-                // If visualizer highlights node, it's fine.
+                callback({ value: val, node });
             }
             node = node.next;
         }
@@ -9,7 +9,7 @@
  * - Liskov Substitution: Can be used anywhere TreeBase is expected
  */
 
-class BSTTree extends TreeBase {
+class BSTTree extends SearchTreeBase {
     constructor() {
         super('Binary Search Tree');
     }
@@ -60,6 +60,8 @@ class BSTTree extends TreeBase {
             }
         }
         // If value === node.value, ignore (no duplicates)
+
+        this._updateSize(node);
     }
 
     /**
@@ -128,9 +130,11 @@ class BSTTree extends TreeBase {
 
         if (value < node.value) {
             node.left = this._deleteNode(node.left, value);
+            this._updateSize(node);
             return node;
         } else if (value > node.value) {
             node.right = this._deleteNode(node.right, value);
+            this._updateSize(node);
             return node;
         } else {
             // Found node to delete
@@ -156,6 +160,7 @@ class BSTTree extends TreeBase {
             this._addAnimationStep('replace', { node, successor });
             
             node.right = this._deleteNode(node.right, successor.value);
+            this._updateSize(node);
             return node;
         }
     }
@@ -248,7 +253,8 @@ class BSTTree extends TreeBase {
         node.right = this._buildBalancedTree(nodes, mid + 1, end);
         if (node.right) node.right.parent = node;
         
-        // Reset height/visuals if necessary
+        // Reset size/visuals if necessary
+        this._updateSize(node);
         node.resetVisualState();
 
         return node;
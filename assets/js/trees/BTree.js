@@ -19,11 +19,17 @@ class BTreeNode {
         this.height = 40;
         this.highlighted = false;
         this.highlightColor = null;
+        this.isHighlighted = false;
+        this.isVisited = false;
+        this.isCurrent = false;
     }
 
     resetVisualState() {
         this.highlighted = false;
         this.highlightColor = null;
+        this.isHighlighted = false;
+        this.isVisited = false;
+        this.isCurrent = false;
     }
 }
 
@@ -34,12 +40,14 @@ class BTree extends TreeBase {
     /**
      * @param {number} t - Minimum degree (defines the range for number of keys)
      * t=2 -> 2-3-4 tree (max 3 keys, 4 children)
-     * Max keys = 2*t - 1
-     * Min keys = t - 1
+     * @param {number} [order] - Order m: maximum number of children (m >= 3), 2t by default
+     * Max keys = m - 1
+     * Min keys = t - 1 (except the root), where t = ceil(m / 2) also for an odd m
      */
-    constructor(t = 2) {
+    constructor(t = 2, order = 2 * t) {
         super('B-Tree');
-        this.t = t; // Minimum degree
+        this.order = order;
+        this.t = Math.ceil(order / 2); // Minimum degree
         this.root = null;
     }
 
@@ -73,9 +81,13 @@ class BTree extends TreeBase {
 
     /**
      * Insert a value
+     * The key goes into its leaf; a node that overflows (m keys) is split
+     * around its middle key, which moves up and may overflow the parent in turn
      * @param {*} value 
      */
     insert(value) {
+        this.clearAnimationSteps();
+
         // If tree is empty
         if (!this.root) {
             this.root = new BTreeNode(true);
@@ -85,101 +97,255 @@ class BTree extends TreeBase {
             return;
         }
 
-        // If root is full
-        if (this.root.keys.length === 2 * this.t - 1) {
-            let s = new BTreeNode(false);
-            s.children[0] = this.root;
-            this.root.parent = s;
-            let oldRoot = this.root;
-            this.root = s;
-            
-            this._splitChild(s, 0);
-            this._insertNonFull(s, value);
-        } else {
-            this._insertNonFull(this.root, value);
+        // Walk down to the leaf, remembering the child index taken at each level
+        const path = [];
+        let node = this.root;
+        while (true) {
+            let i = 0;
+            while (i < node.keys.length && value >= node.keys[i]) {
+                this._addAnimationStep('compare', { node, index: i, value });
+                i++;
+            }
+
+            if (node.isLeaf) {
+                node.keys.splice(i, 0, value);
+                this._addAnimationStep('insert_leaf', { node, value });
+                break;
+            }
+
+            path.push({ node, index: i });
+            node = node.children[i];
         }
         this.nodeCount++;
+
+        // Split overflowing nodes on the way back up
+        while (node.keys.length === this.order) {
+            if (path.length === 0) {
+                const s = new BTreeNode(false);
+                s.children[0] = node;
+                node.parent = s;
+                this.root = s;
+                this._splitChild(s, 0);
+                break;
+            }
+
+            const { node: parent, index } = path.pop();
+            this._splitChild(parent, index);
+            node = parent;
+        }
     }
 
     /**
-     * Split child node
+     * Split an overflowing child around its middle key
      * @param {BTreeNode} x - Parent node
      * @param {number} i - Index of child to split
      */
     _splitChild(x, i) {
-        let y = x.children[i];
-        let z = new BTreeNode(y.isLeaf);
+        const y = x.children[i];
+        const z = new BTreeNode(y.isLeaf);
         z.parent = x;
 
-        // Move last (t-1) keys of y to z
-        for (let j = 0; j < this.t - 1; j++) {
-            z.keys[j] = y.keys[j + this.t];
-        }
+        // y keeps the first half, z gets the keys (and children) after the middle key
+        const mid = Math.floor(y.keys.length / 2);
+        const median = y.keys[mid];
+
+        z.keys = y.keys.slice(mid + 1);
+        y.keys.length = mid;
 
-        // Move last t children of y to z (if not leaf)
         if (!y.isLeaf) {
-            for (let j = 0; j < this.t; j++) {
-                z.children[j] = y.children[j + this.t];
-                if (z.children[j]) z.children[j].parent = z;
-            }
+            z.children = y.children.slice(mid + 1);
+            z.children.forEach(child => {
+                child.parent = z;
+            });
+            y.children.length = mid + 1;
         }
 
-        // Reduce keys of y
-        y.keys.length = this.t - 1;
-        y.children.length = y.isLeaf ? 0 : this.t;
+        // Middle key moves up to x, z goes right after y
+        x.keys.splice(i, 0, median);
+        x.children.splice(i + 1, 0, z);
+        
+        this._addAnimationStep('split', { parent: x, child: y, newChild: z });
+    }
+
+    /**
+     * Delete a value
+     * A key in a leaf is removed directly, a key in an internal node is replaced by
+     * its predecessor which is then removed from the leaf below; underfull nodes
+     * (fewer than t - 1 keys) borrow from a sibling or merge with it on the way back up
+     * @param {*} value
+     * @returns {boolean}
+     */
+    delete(value) {
+        this.clearAnimationSteps();
 
-        // Shift children of x to make room for z
-        for (let j = x.children.length; j > i + 1; j--) {
-            x.children[j] = x.children[j - 1];
+        if (!this.root || !this._containsKey(this.root, value)) {
+            return false;
         }
-        x.children[i + 1] = z;
 
-        // Shift keys of x to make room for median key from y
-        for (let j = x.keys.length; j > i; j--) {
-            x.keys[j] = x.keys[j - 1];
+        this._deleteFromNode(this.root, value);
+        this.nodeCount--;
+
+        // Shrink the root when its last key moved down into a merged child
+        if (this.root.keys.length === 0) {
+            this.root = this.root.isLeaf ? null : this.root.children[0];
+            if (this.root) {
+                this.root.parent = null;
+                this._addAnimationStep('root_change', {
+                    node: this.root,
+                    description: 'Kök boşaldı, ağacın yüksekliği bir azaldı'
+                });
+            }
         }
-        x.keys[i] = y.keys[this.t - 1];
-        
-        this._addAnimationStep('split', { parent: x, child: y, newChild: z });
+
+        eventBus.emit(EVENTS.NODE_DELETED, { value, tree: this });
+        return true;
     }
 
     /**
-     * Insert into non-full node
-     * @param {BTreeNode} x 
-     * @param {*} value 
+     * Helper: Delete a key from the subtree rooted at x (the key must exist there)
+     * @private
      */
-    _insertNonFull(x, value) {
-        let i = x.keys.length - 1;
+    _deleteFromNode(x, value) {
+        let i = 0;
+        while (i < x.keys.length && value > x.keys[i]) {
+            this._addAnimationStep('compare', { node: x, index: i, value });
+            i++;
+        }
+
+        let target = value;
 
-        if (x.isLeaf) {
-            while (i >= 0 && value < x.keys[i]) {
-                x.keys[i + 1] = x.keys[i];
-                i--;
+        if (i < x.keys.length && value === x.keys[i]) {
+            this._addAnimationStep('delete', { node: x, index: i, value });
+
+            if (x.isLeaf) {
+                x.keys.splice(i, 1);
+                return;
             }
-            x.keys[i + 1] = value;
-            this._addAnimationStep('insert_leaf', { node: x, value });
+
+            // Internal key: replace it with the predecessor and delete that from the left child
+            const predecessor = this._getPredecessor(x.children[i]);
+            target = predecessor.keys[predecessor.keys.length - 1];
+            x.keys[i] = target;
+            this._addAnimationStep('replace', { node: x, index: i, value: target, source: predecessor, type: 'predecessor' });
+        }
+
+        this._deleteFromNode(x.children[i], target);
+
+        if (x.children[i].keys.length < this.t - 1) {
+            this._fixChild(x, i);
+        }
+    }
+
+    /**
+     * Helper: Refill an underfull child by borrowing from a sibling or merging with it
+     * @private
+     */
+    _fixChild(x, i) {
+        const left = i > 0 ? x.children[i - 1] : null;
+        const right = i < x.keys.length ? x.children[i + 1] : null;
+
+        if (left && left.keys.length > this.t - 1) {
+            this._borrowFromLeft(x, i);
+        } else if (right && right.keys.length > this.t - 1) {
+            this._borrowFromRight(x, i);
+        } else if (left) {
+            this._merge(x, i - 1);
         } else {
-            while (i >= 0 && value < x.keys[i]) {
-                i--;
-            }
-            i++;
-            if (x.children[i].keys.length === 2 * this.t - 1) {
-                this._splitChild(x, i);
-                if (value > x.keys[i]) {
-                    i++;
-                }
-            }
-            this._insertNonFull(x.children[i], value);
+            this._merge(x, i);
         }
     }
 
     /**
-     * Delete a value - To be implemented
+     * Helper: Rotate a key from the left sibling through the parent into children[i]
+     * @private
      */
-    delete(value) {
-        console.warn('Delete not fully implemented for B-Tree yet');
-        // Placeholder implementation
-        return false;
+    _borrowFromLeft(x, i) {
+        const child = x.children[i];
+        const sibling = x.children[i - 1];
+
+        this._addAnimationStep('borrow', { parent: x, node: child, sibling, direction: 'left' });
+
+        child.keys.unshift(x.keys[i - 1]);
+        x.keys[i - 1] = sibling.keys.pop();
+
+        if (!sibling.isLeaf) {
+            const moved = sibling.children.pop();
+            moved.parent = child;
+            child.children.unshift(moved);
+        }
+    }
+
+    /**
+     * Helper: Rotate a key from the right sibling through the parent into children[i]
+     * @private
+     */
+    _borrowFromRight(x, i) {
+        const child = x.children[i];
+        const sibling = x.children[i + 1];
+
+        this._addAnimationStep('borrow', { parent: x, node: child, sibling, direction: 'right' });
+
+        child.keys.push(x.keys[i]);
+        x.keys[i] = sibling.keys.shift();
+
+        if (!sibling.isLeaf) {
+            const moved = sibling.children.shift();
+            moved.parent = child;
+            child.children.push(moved);
+        }
+    }
+
+    /**
+     * Helper: Merge children[i], keys[i] and children[i + 1] into children[i]
+     * @private
+     */
+    _merge(x, i) {
+        const child = x.children[i];
+        const sibling = x.children[i + 1];
+
+        this._addAnimationStep('merge', { parent: x, node: child, sibling, value: x.keys[i] });
+
+        child.keys.push(x.keys[i], ...sibling.keys);
+        sibling.children.forEach(grandChild => {
+            grandChild.parent = child;
+            child.children.push(grandChild);
+        });
+
+        x.keys.splice(i, 1);
+        x.children.splice(i + 1, 1);
+    }
+
+    /**
+     * Helper: Rightmost leaf of a subtree (holds the predecessor)
+     * @private
+     */
+    _getPredecessor(node) {
+        while (!node.isLeaf) {
+            node = node.children[node.children.length - 1];
+        }
+        return node;
+    }
+
+    /**
+     * Check whether a key exists (without recording steps)
+     * @private
+     */
+    _containsKey(node, value) {
+        let i = 0;
+        while (i < node.keys.length && value > node.keys[i]) i++;
+
+        if (i < node.keys.length && value === node.keys[i]) return true;
+        if (node.isLeaf) return false;
+        return this._containsKey(node.children[i], value);
+    }
+
+    /**
+     * Height counted in levels (all leaves are on the same level)
+     * @private
+     */
+    _getHeight(node) {
+        if (!node) return 0;
+        return 1 + (node.isLeaf ? 0 : this._getHeight(node.children[0]));
     }
     
     // Override traversal for B-Tree structure
@@ -195,11 +361,8 @@ class BTree extends TreeBase {
             if (!node.isLeaf) {
                 this._inorder(node.children[i], callback);
             }
-            // We can treat keys as "nodes" for the callback if we want standard behavior,
-            // or pass the whole node. For standard visualization list, we might just pass values?
-            // TreeBase expects callback(node). Since BTreeNode holds multiple values, 
-            // this adaptation depends on how the visualizer uses it.
-            // For now, we'll skipping detailed inorder adaptation or adapt it to visit 'keys'.
+            // Keys are reported as value holders so getValues()/traversals list them in order
+            callback({ value: node.keys[i], node });
         }
         if (!node.isLeaf) {
             this._inorder(node.children[i], callback);
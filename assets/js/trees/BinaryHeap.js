@@ -0,0 +1,468 @@
+/**
+ * TreeLab - Binary Heap Implementation
+ *
+ * Purpose: Complete binary tree ordered by a comparator: every parent comes
+ * before its children, so the root is the element with the highest priority
+ * Used for: Priority queues, heap sort (MinHeap / MaxHeap are the numeric orders)
+ */
+
+class BinaryHeap extends TreeBase {
+    /**
+     * @param {Function} compare - (a, b) => negative if a should be above b, 0 if equal, positive otherwise
+     * @param {string} name - Tree name
+     * @param {string} priorityLabel - What the root holds, used in messages (e.g. 'Minimum')
+     */
+    constructor(compare = BinaryHeap.ascending, name = 'Binary Heap', priorityLabel = 'En öncelikli') {
+        super(name);
+        this.compare = compare;
+        this.priorityLabel = priorityLabel;
+        this.array = []; // Array representation
+        this.sortedFrom = null; // First index of the sorted tail after heapSort, null while the array is a heap
+    }
+
+    /**
+     * Numeric / string ascending order (min at the root)
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    static ascending(a, b) {
+        if (a < b) return -1;
+        if (a > b) return 1;
+        return 0;
+    }
+
+    /**
+     * Descending order (max at the root)
+     * @param {*} a
+     * @param {*} b
+     * @returns {number}
+     */
+    static descending(a, b) {
+        return BinaryHeap.ascending(b, a);
+    }
+
+    /**
+     * Build a comparator that orders objects by one of their fields
+     * e.g. new BinaryHeap(BinaryHeap.by(task => task.priority, 'desc'))
+     * @param {Function} selector - Maps a value to the key it is ordered by
+     * @param {string} direction - 'asc' (smallest key first) or 'desc'
+     * @returns {Function}
+     */
+    static by(selector, direction = 'asc') {
+        const order = direction === 'desc' ? BinaryHeap.descending : BinaryHeap.ascending;
+        return (a, b) => order(selector(a), selector(b));
+    }
+
+    /**
+     * Insert a value into the heap
+     * @param {*} value
+     */
+    insert(value) {
+        this._endSort();
+        this.clearAnimationSteps();
+        this.array.push(value);
+        this.nodeCount++;
+
+        // Heapify up
+        this._heapifyUp(this.array.length - 1);
+
+        // Rebuild tree structure for visualization
+        this._rebuildTree();
+
+        eventBus.emit(EVENTS.NODE_INSERTED, { value, tree: this });
+    }
+
+    /**
+     * Check whether the value at index i belongs above the value at index j
+     * @private
+     */
+    _isHigher(i, j) {
+        return this.compare(this.array[i], this.array[j]) < 0;
+    }
+
+    /**
+     * Heapify up (bubble up)
+     * @private
+     */
+    _heapifyUp(index) {
+        if (index === 0) return;
+
+        const parentIndex = Math.floor((index - 1) / 2);
+
+        this._addAnimationStep('compare', {
+            index,
+            parentIndex,
+            description: `${this.array[index]} ile ${this.array[parentIndex]} karşılaştırılıyor`
+        });
+
+        if (this._isHigher(index, parentIndex)) {
+            // Swap
+            [this.array[index], this.array[parentIndex]] =
+            [this.array[parentIndex], this.array[index]];
+
+            this._addAnimationStep('swap', { index, parentIndex });
+            this._heapifyUp(parentIndex);
+        }
+    }
+
+    /**
+     * Delete (extract the root), or a given value when one is passed
+     * @param {*} [value] - Value to remove, the root when omitted
+     * @returns {boolean}
+     */
+    delete(value) {
+        if (value !== undefined) return this.deleteAt(value);
+        if (this.array.length === 0) return false;
+
+        this._endSort();
+        this.clearAnimationSteps();
+
+        // Remove root
+        const top = this.array[0];
+        const last = this.array.pop();
+        this.nodeCount--;
+
+        if (this.array.length > 0) {
+            this.array[0] = last;
+            this._heapifyDown(0);
+        }
+
+        this._rebuildTree();
+        eventBus.emit(EVENTS.NODE_DELETED, { value: top, tree: this });
+        return true;
+    }
+
+    /**
+     * Delete an arbitrary value: the last element takes its place and
+     * moves up or down, whichever direction restores the heap order
+     * @param {*} value
+     * @returns {boolean} False if the value is not in the heap
+     */
+    deleteAt(value) {
+        this._endSort();
+        this.clearAnimationSteps();
+
+        const index = this.array.indexOf(value);
+        if (index === -1) return false;
+
+        const last = this.array.pop();
+        this.nodeCount--;
+
+        if (index < this.array.length) {
+            this.array[index] = last;
+            this._addAnimationStep('delete', {
+                index,
+                value,
+                description: `${value} silindi, yerine son eleman ${last} taşındı`
+            });
+            this._siftFrom(index);
+        } else {
+            this._addAnimationStep('delete', { index, value, description: `${value} son elemandı, doğrudan silindi` });
+        }
+
+        this._rebuildTree();
+        eventBus.emit(EVENTS.NODE_DELETED, { value, tree: this });
+        return true;
+    }
+
+    /**
+     * Move a value closer to the root: a smaller key in MinHeap, a larger key in MaxHeap
+     * (decrease-key of Dijkstra / Prim priority queues), looked up by value
+     * @param {*} value - Current value
+     * @param {*} newValue
+     * @returns {boolean} False if the value is missing or newValue has a lower priority
+     */
+    decreaseKey(value, newValue) {
+        this._endSort();
+        const index = this.array.indexOf(value);
+        if (index === -1) {
+            this.clearAnimationSteps();
+            return false;
+        }
+        return this.decreaseKeyAt(index, newValue);
+    }
+
+    /**
+     * decreaseKey for the element at an array index, the handle a Dijkstra-style caller
+     * keeps (a value lookup finds only the first of several equal values)
+     * @param {number} index
+     * @param {*} newValue
+     * @returns {boolean} False if the index is invalid or newValue has a lower priority
+     */
+    decreaseKeyAt(index, newValue) {
+        this._endSort();
+        this.clearAnimationSteps();
+
+        if (!Number.isInteger(index) || index < 0 || index >= this.array.length) return false;
+        if (this.compare(newValue, this.array[index]) > 0) return false;
+
+        const oldValue = this.array[index];
+        this.array[index] = newValue;
+        this._addAnimationStep('update', {
+            index,
+            value: newValue,
+            description: `${index}. indeksteki ${oldValue} değeri ${newValue} yapıldı, yukarı doğru yerleştiriliyor`
+        });
+
+        this._heapifyUp(index);
+        this._rebuildTree();
+        return true;
+    }
+
+    /**
+     * Replace the heap with the given values using bottom-up heapify (O(n)):
+     * leaves are already heaps, so only the internal nodes from n/2 - 1 down to 0
+     * are heapified down, and most of them sit on the lowest levels
+     * @param {Array} values
+     */
+    buildHeap(values) {
+        this.clearAnimationSteps();
+        this.array = [...values];
+        this.nodeCount = this.array.length;
+        this.sortedFrom = null;
+
+        for (let i = Math.floor(this.array.length / 2) - 1; i >= 0; i--) {
+            this._addAnimationStep('visit', {
+                index: i,
+                description: `${i}. indeks (${this.array[i]}) alt ağacıyla birlikte aşağı doğru düzenleniyor`
+            });
+            this._heapifyDown(i);
+        }
+
+        this._rebuildTree();
+    }
+
+    /**
+     * Heap sort in place: build the heap, then repeatedly swap the root with the
+     * last element of the heap part and sift the new root down in the shrunk heap.
+     * The array ends up sorted from the lowest priority to the highest
+     * (ascending for MaxHeap, descending for MinHeap)
+     * @param {Array} [values] - Values to sort, the current heap contents when omitted
+     * @returns {Array} The sorted array
+     */
+    heapSort(values = this.array) {
+        this.buildHeap(values);
+
+        for (let end = this.array.length - 1; end > 0; end--) {
+            const top = this.array[0];
+            [this.array[0], this.array[end]] = [this.array[end], this.array[0]];
+            this.sortedFrom = end;
+
+            this._addAnimationStep('sortExtract', {
+                index: 0,
+                childIndex: end,
+                value: top,
+                description: `Kökteki ${top} dizinin ${end}. indeksine taşındı, sıralı bölgeye katıldı`
+            });
+            this._heapifyDown(0, end);
+        }
+
+        this.sortedFrom = 0;
+        this._addAnimationStep('sortDone', {
+            description: `Dizi sıralandı: ${this.array.join(', ')}`
+        });
+
+        this._rebuildTree();
+        return [...this.array];
+    }
+
+    /**
+     * Turn a sorted array back into a heap before the next heap operation
+     * (a sorted array is not a valid heap for every comparator)
+     * @private
+     */
+    _endSort() {
+        if (this.sortedFrom === null) return;
+        this.buildHeap(this.array);
+        this.clearAnimationSteps();
+    }
+
+    /**
+     * Restore the heap order around an index whose value changed in either direction
+     * @private
+     */
+    _siftFrom(index) {
+        const parentIndex = Math.floor((index - 1) / 2);
+
+        if (index > 0 && this._isHigher(index, parentIndex)) {
+            this._heapifyUp(index);
+        } else {
+            this._heapifyDown(index);
+        }
+    }
+
+    /**
+     * Heapify down (bubble down) within the first `size` elements
+     * (heap sort keeps its sorted tail out of the heap)
+     * @private
+     */
+    _heapifyDown(index, size = this.array.length) {
+        const leftChild = 2 * index + 1;
+        const rightChild = 2 * index + 2;
+
+        if (leftChild >= size) return;
+
+        // Pick the child with the higher priority, then compare it with the parent
+        let childIndex = leftChild;
+        if (rightChild < size) {
+            this._addAnimationStep('compare', {
+                index: leftChild,
+                parentIndex: rightChild,
+                description: `Çocuklar karşılaştırılıyor: ${this.array[leftChild]} ve ${this.array[rightChild]}`
+            });
+            if (this._isHigher(rightChild, leftChild)) {
+                childIndex = rightChild;
+            }
+        }
+
+        this._addAnimationStep('compare', {
+            index: childIndex,
+            parentIndex: index,
+            description: `${this.array[childIndex]} ile ${this.array[index]} karşılaştırılıyor`
+        });
+
+        if (this._isHigher(childIndex, index)) {
+            [this.array[index], this.array[childIndex]] =
+            [this.array[childIndex], this.array[index]];
+
+            this._addAnimationStep('swap', { index, childIndex });
+            this._heapifyDown(childIndex, size);
+        }
+    }
+
+    /**
+     * Search for a value (linear search in heap)
+     * @param {*} value
+     * @returns {TreeNode|null}
+     */
+    search(value) {
+        this.clearAnimationSteps();
+        const index = this.array.indexOf(value);
+
+        if (index !== -1) {
+            // Find corresponding node in tree
+            const node = this._findNodeAtIndex(this.root, index, 0);
+            this._addAnimationStep('found', { node });
+            eventBus.emit(EVENTS.NODE_SEARCHED, { value, found: true, tree: this });
+            return node;
+        }
+
+        eventBus.emit(EVENTS.NODE_SEARCHED, { value, found: false, tree: this });
+        return null;
+    }
+
+    /**
+     * Find node at specific array index in tree
+     * @private
+     */
+    _findNodeAtIndex(node, targetIndex, currentIndex) {
+        if (!node || currentIndex > targetIndex) return null;
+        if (currentIndex === targetIndex) return node;
+
+        const leftResult = this._findNodeAtIndex(
+            node.left,
+            targetIndex,
+            2 * currentIndex + 1
+        );
+        if (leftResult) return leftResult;
+
+        return this._findNodeAtIndex(
+            node.right,
+            targetIndex,
+            2 * currentIndex + 2
+        );
+    }
+
+    /**
+     * Rebuild tree structure from array
+     * @private
+     */
+    _rebuildTree() {
+        this.root = this._buildTreeFromArray(0);
+    }
+
+    /**
+     * Build tree from array representation
+     * @private
+     */
+    _buildTreeFromArray(index) {
+        if (index >= this.array.length) return null;
+
+        const node = new TreeNode(this.array[index]);
+        node.isSorted = this.sortedFrom !== null && index >= this.sortedFrom;
+        node.left = this._buildTreeFromArray(2 * index + 1);
+        node.right = this._buildTreeFromArray(2 * index + 2);
+
+        if (node.left) node.left.parent = node;
+        if (node.right) node.right.parent = node;
+
+        return node;
+    }
+
+    /**
+     * Snapshot the heap from its array, since the node tree is only
+     * rebuilt after an operation finishes (the array and the sorted tail
+     * boundary are kept for the array strip)
+     * @protected
+     */
+    _createSnapshot() {
+        return {
+            root: this._buildTreeFromArray(0),
+            nodeMap: new Map(),
+            array: [...this.array],
+            sortedFrom: this.sortedFrom
+        };
+    }
+
+    /**
+     * Backing array for the strip under the canvas, as it was when a step was recorded;
+     * the indices compared or swapped by the step are marked like their tree nodes
+     * and the sorted tail of heap sort is split off
+     * @param {Object|null} step - Step on screen, null for the current state
+     * @returns {Object|null} See ArrayView
+     */
+    getArrayState(step = null) {
+        const snapshot = step && step.snapshot ? step.snapshot : this;
+        const { array, sortedFrom } = snapshot;
+        if (array.length === 0) return null;
+
+        const data = (step && step.data) || {};
+        const active = ['index', 'parentIndex', 'childIndex']
+            .map(key => data[key])
+            .filter(index => index !== undefined && index < array.length);
+
+        return {
+            firstIndex: 0,
+            rows: [{ label: 'A[i]', values: array }],
+            ranges: null,
+            active,
+            highlighted: [],
+            mutedFrom: sortedFrom
+        };
+    }
+
+    /**
+     * Clear the heap
+     */
+    clear() {
+        this.array = [];
+        this.sortedFrom = null;
+        super.clear();
+    }
+
+    /**
+     * Get the root value without removing it
+     * (a heap sort output is turned back into a heap first, like the mutators do)
+     * @returns {*|null}
+     */
+    peek() {
+        this._endSort();
+        return this.array.length > 0 ? this.array[0] : null;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.BinaryHeap = BinaryHeap;
+}
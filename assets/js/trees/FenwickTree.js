@@ -1,18 +1,40 @@
-
 /**
  * Fenwick Tree (Binary Indexed Tree) Implementation
+ * All modes share the same two walks: updates climb with i += i & -i,
+ * prefix sums descend with i -= i & -i. Indices are 1-based like the BIT itself.
+ * - point: BIT over the values (point update, prefix / range sum)
+ * - rangePoint: BIT over the differences a[i] - a[i-1] (range add, point query)
+ * - rangeRange: two BITs, B1 over d[i] and B2 over d[i] * (i - 1) (range add, range sum)
  */
 class FenwickTree extends TreeBase {
-    constructor() {
+    /**
+     * @param {string} mode - Key of FenwickTree.MODES
+     */
+    constructor(mode = 'point') {
         super('Fenwick Tree');
-        this.tree = [0]; // 1-based indexing usually, 0 is dummy
-        this.data = [];  // Original data
+        if (!FenwickTree.MODES[mode]) {
+            throw new Error(`Unknown Fenwick mode: ${mode}`);
+        }
+        this.mode = mode;
+        this.tree = [0]; // 1-based indexing usually, 0 is dummy (B1 in rangeRange mode)
+        this.tree2 = [0]; // B2, only used in rangeRange mode
+        this.data = [];  // Original data (kept up to date by every update)
+        this.nodes = new Map(); // BIT index -> visual node
         this.root = null;
     }
 
+    /**
+     * Check whether the current mode offers an operation
+     * @param {string} operation - 'pointAdd', 'pointSet', 'rangeAdd', 'prefixQuery', 'rangeQuery', 'pointQuery'
+     * @returns {boolean}
+     */
+    supports(operation) {
+        return FenwickTree.MODES[this.mode].operations.includes(operation);
+    }
+
     /**
      * Insert (Append value)
-     * @param {*} value 
+     * @param {*} value
      */
     insert(value) {
         const numVal = parseInt(value);
@@ -21,70 +43,362 @@ class FenwickTree extends TreeBase {
             return;
         }
 
+        this.clearAnimationSteps();
+
+        // Range modes store differences, the new element differs from the last one
+        const last = this.data.length > 0 ? this.data[this.data.length - 1] : 0;
+        const delta = this.mode === 'point' ? numVal : numVal - last;
+
         // Add to data
         this.data.push(numVal);
         let index = this.data.length; // 1-based index for BIT
-        
-        // Init tree array if needed
-        if (this.tree.length <= index) {
-            this.tree.push(0);
-        }
-        
-        // Update BIT
-        this._updateBIT(index, numVal);
+
+        this._appendBIT(this.tree, delta);
+        if (this.mode === 'rangeRange') {
+            this._appendBIT(this.tree2, delta * (index - 1));
+        }
         this.nodeCount++;
-        
+
         // Rebuild visual tree
         this.buildVisualTree();
         this._addAnimationStep('insert', { value: numVal, index: index });
     }
 
     /**
-     * Update BIT logic
+     * Clear the tree and its arrays
+     */
+    clear() {
+        this.tree = [0];
+        this.tree2 = [0];
+        this.data = [];
+        this.nodes = new Map();
+        super.clear();
+    }
+
+    /**
+     * Get a copy of the input array
+     * @returns {Array<number>}
+     */
+    getData() {
+        return [...this.data];
+    }
+
+    /**
+     * Add delta to a[index] (point mode)
+     * @param {number} index - 1-based
+     * @param {number} delta
+     * @returns {boolean} False if the index is invalid or the mode has no point update
+     */
+    pointAdd(index, delta) {
+        this.clearAnimationSteps();
+        if (!this.supports('pointAdd') || !this._isValidIndex(index)) return false;
+
+        this.data[index - 1] += delta;
+        this._walkUpdate(this.tree, index, delta);
+        return true;
+    }
+
+    /**
+     * Set a[index] to value (point mode), done as an add of the difference
+     * @param {number} index - 1-based
+     * @param {number} value
+     * @returns {boolean} False if the index is invalid or the mode has no point update
+     */
+    pointSet(index, value) {
+        if (!this._isValidIndex(index)) {
+            this.clearAnimationSteps();
+            return false;
+        }
+        return this.pointAdd(index, value - this.data[index - 1]);
+    }
+
+    /**
+     * Add delta to every element in a[l..r] (range modes)
+     * @param {number} l - 1-based
+     * @param {number} r - 1-based
+     * @param {number} delta
+     * @returns {boolean} False if the range is invalid or the mode has no range update
      */
-    _updateBIT(index, delta) {
-        while (index < this.tree.length) {
-            this.tree[index] += delta;
-            index += index & (-index);
+    rangeAdd(l, r, delta) {
+        this.clearAnimationSteps();
+        if (!this.supports('rangeAdd') || !this._isValidRange(l, r)) return false;
+
+        const twoBits = this.mode === 'rangeRange';
+        const name = twoBits ? 'B1' : 'tree';
+
+        for (let i = l - 1; i < r; i++) {
+            this.data[i] += delta;
+        }
+
+        this._walkUpdate(this.tree, l, delta, name);
+        this._walkUpdate(this.tree, r + 1, -delta, name);
+        if (twoBits) {
+            this._walkUpdate(this.tree2, l, delta * (l - 1), 'B2');
+            this._walkUpdate(this.tree2, r + 1, -delta * r, 'B2');
         }
+        return true;
+    }
+
+    /**
+     * Sum of a[1..index] with animation steps
+     * @param {number} index - 1-based
+     * @returns {number|null} Null if the index is invalid or the mode has no prefix query
+     */
+    prefixQuery(index) {
+        this.clearAnimationSteps();
+        if (!this.supports('prefixQuery') || !this._isValidIndex(index)) return null;
+
+        return this._walkPrefix(index);
+    }
+
+    /**
+     * Sum of a[l..r] as prefix(r) - prefix(l - 1)
+     * @param {number} l - 1-based
+     * @param {number} r - 1-based
+     * @returns {number|null} Null if the range is invalid or the mode has no range query
+     */
+    rangeQuery(l, r) {
+        this.clearAnimationSteps();
+        if (!this.supports('rangeQuery') || !this._isValidRange(l, r)) return null;
+
+        const right = this._walkPrefix(r);
+        const left = this._walkPrefix(l - 1);
+        const result = right - left;
+
+        this._addAnimationStep('bitResult', {
+            value: result,
+            description: `[${l}, ${r}] toplamı = prefix(${r}) - prefix(${l - 1}) = ${right} - ${left} = ${result}`
+        });
+        return result;
+    }
+
+    /**
+     * Value of a[index] as the prefix sum of the differences (rangePoint mode)
+     * @param {number} index - 1-based
+     * @returns {number|null} Null if the index is invalid or the mode has no point query
+     */
+    pointQuery(index) {
+        this.clearAnimationSteps();
+        if (!this.supports('pointQuery') || !this._isValidIndex(index)) return null;
+
+        return this._walkQuery(this.tree, index);
+    }
+
+    /**
+     * Arrays for the strip under the canvas, as they were when a step was recorded:
+     * the values, the BIT array(s) and the range (i - lowbit(i), i] of every cell
+     * @param {Object|null} step - Step on screen, null for the current state
+     * @returns {Object|null} See ArrayView
+     */
+    getArrayState(step = null) {
+        const snapshot = step && step.snapshot ? step.snapshot : null;
+        const root = snapshot ? snapshot.root : this.root;
+        if (!root) return null;
+
+        // BIT values are read from the (snapshot) nodes, which hold tree[i] at that step;
+        // a range add touches only the nodes on its walks, so a[i] comes from the data copy
+        const cells = [];
+        this._genericTraversal(root, node => {
+            if (!node.isVirtual) cells[node.index - 1] = node;
+        });
+
+        const rows = [{ label: 'a[i]', values: [...(snapshot ? snapshot.data : this.data)] }];
+        if (this.mode === 'rangeRange') {
+            rows.push({ label: 'B1[i]', values: cells.map(node => node.value) });
+            rows.push({ label: 'B2[i]', values: cells.map(node => node.value2) });
+        } else {
+            rows.push({ label: this.mode === 'point' ? 'tree[i]' : 'tree[i] (fark)', values: cells.map(node => node.value) });
+        }
+
+        const ranges = cells.map((_, position) => {
+            const i = position + 1;
+            const start = i - (i & (-i)) + 1;
+            return { start: start - 1, end: i - 1, title: `[${i}] → (${start - 1}, ${i}] = a[${start}..${i}]` };
+        });
+
+        const data = (step && step.data) || {};
+        const active = data.node ? [data.node.index - 1] : (data.index ? [data.index - 1] : []);
+        const highlighted = (data.resultNodes || []).map(node => node.index - 1);
+
+        return { firstIndex: 1, rows, ranges, active, highlighted };
+    }
+
+    /**
+     * Snapshot with a copy of the values, which the tree nodes do not all follow
+     * @returns {{root: Object|null, nodeMap: Map, data: number[]}}
+     * @protected
+     */
+    _createSnapshot() {
+        return { ...super._createSnapshot(), data: [...this.data] };
     }
 
     /**
-     * Prefix Sum query
+     * Prefix Sum query (raw sum of the first BIT, without animation steps)
      */
     query(index) {
+        return this._prefix(this.tree, index);
+    }
+
+    /**
+     * Prefix sum of the values in the current mode, recording the walks
+     * Two BIT mode: sum(B1, i) * i - sum(B2, i)
+     * @private
+     */
+    _walkPrefix(index) {
+        if (this.mode !== 'rangeRange') {
+            return this._walkQuery(this.tree, index);
+        }
+
+        const sum1 = this._walkQuery(this.tree, index, 'B1');
+        const sum2 = this._walkQuery(this.tree2, index, 'B2');
+        const result = sum1 * index - sum2;
+        const subtracted = sum2 < 0 ? `(${sum2})` : sum2;
+
+        this._addAnimationStep('bitResult', {
+            value: result,
+            description: `prefix(${index}) = B1 toplamı × ${index} - B2 toplamı = ${sum1} × ${index} - ${subtracted} = ${result}`
+        });
+        return result;
+    }
+
+    /**
+     * Update walk: add delta to bit[index] and climb with index += index & -index
+     * @private
+     */
+    _walkUpdate(bit, index, delta, name = 'tree') {
+        const updated = [];
+
+        while (index < bit.length) {
+            bit[index] += delta;
+            const node = this._refreshNode(index);
+            const next = index + (index & (-index));
+
+            updated.push(node);
+            this._addAnimationStep('bitUpdate', {
+                node,
+                index,
+                delta,
+                value: bit[index],
+                next,
+                done: next >= bit.length,
+                bit: name,
+                resultNodes: [...updated]
+            });
+            index = next;
+        }
+    }
+
+    /**
+     * Query walk: sum bit[index] and descend with index -= index & -index
+     * @private
+     */
+    _walkQuery(bit, index, name = 'tree') {
+        const visited = [];
+        let sum = 0;
+
+        while (index > 0) {
+            sum += bit[index];
+            const node = this.nodes.get(index);
+            const next = index - (index & (-index));
+
+            visited.push(node);
+            this._addAnimationStep('bitQuery', {
+                node,
+                index,
+                value: bit[index],
+                sum,
+                next,
+                bit: name,
+                resultNodes: [...visited]
+            });
+            index = next;
+        }
+        return sum;
+    }
+
+    /**
+     * Raw prefix sum of a BIT (no animation steps)
+     * @private
+     */
+    _prefix(bit, index) {
         let sum = 0;
         let i = index;
         while (i > 0) {
-            sum += this.tree[i];
+            sum += bit[i];
             i -= i & (-i);
         }
         return sum;
     }
 
+    /**
+     * Append a new last element to a BIT
+     * tree[n] covers (n - lowbit(n), n]: the new delta plus the elements already stored in that range
+     * @private
+     */
+    _appendBIT(bit, delta) {
+        const n = bit.length;
+        bit.push(delta + this._prefix(bit, n - 1) - this._prefix(bit, n - (n & (-n))));
+    }
+
+    /**
+     * Copy the BIT values of an index into its visual node
+     * @private
+     */
+    _refreshNode(index) {
+        const node = this.nodes.get(index);
+        node.value = this.tree[index];
+        node.originalValue = this.data[index - 1];
+        if (this.mode === 'rangeRange') node.value2 = this.tree2[index];
+        node.label = this._getNodeLabel(index);
+        return node;
+    }
+
+    /**
+     * Text under a node: its index, and the B2 value in two BIT mode
+     * @private
+     */
+    _getNodeLabel(index) {
+        return this.mode === 'rangeRange' ? `idx:${index} B2:${this.tree2[index]}` : `idx:${index}`;
+    }
+
+    /**
+     * @private
+     */
+    _isValidIndex(index) {
+        return Number.isInteger(index) && index >= 1 && index <= this.data.length;
+    }
+
+    /**
+     * @private
+     */
+    _isValidRange(l, r) {
+        return this._isValidIndex(l) && this._isValidIndex(r) && l <= r;
+    }
+
     /**
      * Build a visual tree based on the update structure (i -> i + lowbit(i))
      */
     buildVisualTree() {
+        this.nodes = new Map();
+
         if (this.data.length === 0) {
             this.root = null;
             return;
         }
 
         // Create nodes for 1..n
-        let nodes = new Map();
+        let nodes = this.nodes;
         let n = this.data.length;
-        
+
         // Create a virtual root to hold the forest
         this.root = new TreeNode("Root");
         this.root.isVirtual = true; // Use a flag to hide it or style it differently if needed
-        
+
         for (let i = 1; i <= n; i++) {
             let node = new TreeNode(this.tree[i]); // Show BIT value
-            node.originalValue = this.data[i-1];
             node.index = i;
-            node.label = `idx:${i}`;
             nodes.set(i, node);
+            this._refreshNode(i);
         }
 
         // Connect nodes
@@ -93,28 +407,11 @@ class FenwickTree extends TreeBase {
         for (let i = 1; i <= n; i++) {
             let parentIdx = i + (i & (-i));
             let node = nodes.get(i);
-            
+
             if (parentIdx <= n) {
                 let parent = nodes.get(parentIdx);
-                // TreeBase TreeNode only has left/right. 
-                // We need general children support for Fenwick visualization?
-                // Or we can try to fit into binary?
-                // Multiple nodes might have same parent.
-                // TreeNode expects left/right.
-                // We might need to extend TreeNode or use 'children' array if visualizer supports it.
-                // Checking TreeNode.js: it has getChildCount() using left/right.
-                // But it's JS, we can add 'children' property.
-                // Does Visualizer support 'children' array?
-                // Let's assume NO for now, and try to chain them?
-                // Or maybe just show them as a list (all children of root) for simplicity?
-                
-                // Better: Create the dependency tree using 'left' as 'next sibling' and 'right' as 'first child'? (LCRS)
-                // Or just add a 'children' array and hope visualizer handles it or update visualizer?
-                // I will add 'children' array to node and see. If visualizer only uses left/right, it won't show.
-                // But BTree uses 'children'. Visualizer likely updated or handles BTree special.
-                // BTree uses BTreeNode which has children.
-                // FenwickTree will use FenwickTreeNode?
-                
+                // TreeNode only has left/right, the update forest uses a 'children' array
+                // (drawn like B-Tree children by the visualizer)
                 if (!parent.children) parent.children = [];
                 parent.children.push(node);
                 node.parent = parent;
@@ -126,19 +423,19 @@ class FenwickTree extends TreeBase {
             }
         }
     }
-    
+
     // Override traversals to support 'children' array if using that structure
     inorderTraversal(callback) {
         this._genericTraversal(this.root, callback);
     }
-    
+
     levelOrderTraversal(callback) {
         if (!this.root) return;
         let queue = [this.root];
         while (queue.length > 0) {
             let node = queue.shift();
             callback(node); // Visit
-            
+
             if (node.children) {
                 for (let child of node.children) {
                     queue.push(child);
@@ -150,7 +447,7 @@ class FenwickTree extends TreeBase {
             }
         }
     }
-    
+
     _genericTraversal(node, callback) {
         if (!node) return;
         // Pre-order like visit
@@ -161,7 +458,7 @@ class FenwickTree extends TreeBase {
             }
         }
     }
-    
+
     search(value) {
         // Search by value in data?
         // Or search value in tree sums?
@@ -184,13 +481,29 @@ class FenwickTree extends TreeBase {
         }
         return null;
     }
-    
+
     delete(value) {
          console.warn("Delete not implemented for Fenwick Tree");
          return false;
     }
 }
 
+// Update / query operations offered by each mode
+FenwickTree.MODES = {
+    point: {
+        label: 'Nokta güncelleme / aralık sorgusu',
+        operations: ['pointAdd', 'pointSet', 'prefixQuery', 'rangeQuery']
+    },
+    rangePoint: {
+        label: 'Aralık güncelleme / nokta sorgusu',
+        operations: ['rangeAdd', 'pointQuery']
+    },
+    rangeRange: {
+        label: 'Aralık güncelleme / aralık sorgusu (iki BIT)',
+        operations: ['rangeAdd', 'prefixQuery', 'rangeQuery']
+    }
+};
+
 if (typeof window !== 'undefined') {
     window.FenwickTree = FenwickTree;
 }
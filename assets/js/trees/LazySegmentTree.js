@@ -0,0 +1,240 @@
+/**
+ * Lazy Segment Tree Implementation
+ * Segment tree with lazy propagation: range add and range assign in O(log n).
+ * A fully covered node only gets a pending tag, the tag is pushed down to the
+ * children the next time an operation has to go below that node.
+ * Works with the aggregates that define add/assign (sum, min, max).
+ */
+class LazySegmentTree extends SegmentTree {
+    /**
+     * @param {string} aggregate - Key of SegmentTree.AGGREGATES with lazy support
+     */
+    constructor(aggregate = 'sum') {
+        if (!LazySegmentTree.supportsAggregate(aggregate)) {
+            throw new Error(`Aggregate ${aggregate} has no lazy propagation`);
+        }
+        super(aggregate);
+        this.name = 'Lazy Segment Tree';
+    }
+
+    /**
+     * Check whether range updates can be applied lazily for an aggregate
+     * @param {string} aggregate
+     * @returns {boolean}
+     */
+    static supportsAggregate(aggregate) {
+        const definition = SegmentTree.AGGREGATES[aggregate];
+        return Boolean(definition && definition.add && definition.assign);
+    }
+
+    /**
+     * Insert a value (Appends to array)
+     * Pending tags are flushed first, since appending rebuilds the tree from data
+     * @param {*} value
+     */
+    insert(value) {
+        this._syncData();
+        super.insert(value);
+    }
+
+    /**
+     * Search the leaves for a value
+     * Pending tags are flushed first, since the leaf search compares against data
+     * @param {*} value
+     * @returns {Object|null} Matching leaf
+     */
+    search(value) {
+        this._syncData();
+        return super.search(value);
+    }
+
+    /**
+     * Get the input array with all pending tags applied
+     * @returns {Array<number>}
+     */
+    getData() {
+        this._syncData();
+        return super.getData();
+    }
+
+    /**
+     * Add delta to every element in data[l..r]
+     * @param {number} l
+     * @param {number} r
+     * @param {number} delta
+     * @returns {boolean} False if the range is invalid
+     */
+    rangeAdd(l, r, delta) {
+        return this._rangeUpdate(l, r, 'add', delta);
+    }
+
+    /**
+     * Set every element in data[l..r] to value
+     * @param {number} l
+     * @param {number} r
+     * @param {number} value
+     * @returns {boolean} False if the range is invalid
+     */
+    rangeAssign(l, r, value) {
+        return this._rangeUpdate(l, r, 'assign', value);
+    }
+
+    /**
+     * @private
+     */
+    _rangeUpdate(l, r, type, value) {
+        this.clearAnimationSteps();
+        if (!this.root || l > r || l < 0 || r >= this.data.length) return false;
+
+        this._rangeUpdateRecursive(this.root, l, r, type, value);
+        return true;
+    }
+
+    /**
+     * @private
+     */
+    _rangeUpdateRecursive(node, l, r, type, value) {
+        // No overlap
+        if (node.end < l || node.start > r) {
+            this._addAnimationStep('skipped', { node, l, r });
+            return;
+        }
+
+        // Fully covered: tag the node and stop here
+        if (l <= node.start && node.end <= r) {
+            this._applyTag(node, type, value);
+            this._addAnimationStep('lazyTag', { node, type, value, l, r });
+            return;
+        }
+
+        // Partial overlap: older tags go down first, then both children are updated
+        this._pushDown(node);
+        this._addAnimationStep('partial', { node, l, r });
+
+        this._rangeUpdateRecursive(node.left, l, r, type, value);
+        this._rangeUpdateRecursive(node.right, l, r, type, value);
+
+        node.value = this._combine(node.left.value, node.right.value);
+        this._addAnimationStep('update_internal', { node, value: node.value });
+    }
+
+    /**
+     * Apply a tag to a node: fix its sum and remember the tag for its children
+     * @private
+     */
+    _applyTag(node, type, value) {
+        const length = node.end - node.start + 1;
+        const aggregate = this.getAggregate();
+
+        if (type === 'assign') {
+            node.value = aggregate.assign(value, length);
+        } else {
+            node.value = aggregate.add(node.value, value, length);
+        }
+
+        // Leaves have no children to pass a tag to
+        if (node.start === node.end) return;
+
+        if (type === 'assign') {
+            node.lazyAssign = value;
+            node.lazyAdd = 0;
+        } else {
+            // An add on top of a pending assign folds into the assign
+            if (node.lazyAssign !== null) {
+                node.lazyAssign += value;
+            } else {
+                node.lazyAdd += value;
+            }
+        }
+    }
+
+    /**
+     * Push the pending tags of a node down to its children
+     * @param {boolean} record - Record an animation step
+     * @private
+     */
+    _pushDown(node, record = true) {
+        if (node.start === node.end || !this._hasTag(node)) return;
+
+        if (record) {
+            this._addAnimationStep('pushDown', {
+                node,
+                assign: node.lazyAssign,
+                add: node.lazyAdd
+            });
+        }
+
+        [node.left, node.right].forEach(child => {
+            if (node.lazyAssign !== null) this._applyTag(child, 'assign', node.lazyAssign);
+            if (node.lazyAdd !== 0) this._applyTag(child, 'add', node.lazyAdd);
+        });
+
+        node.lazyAssign = null;
+        node.lazyAdd = 0;
+    }
+
+    /**
+     * @private
+     */
+    _hasTag(node) {
+        return node.lazyAssign !== null || node.lazyAdd !== 0;
+    }
+
+    /**
+     * Push every pending tag down to the leaves and copy them back into data
+     * (no animation steps, used before rebuilding)
+     * @private
+     */
+    _syncData() {
+        const flush = (node) => {
+            if (!node) return;
+            if (node.start === node.end) {
+                this.data[node.start] = node.value;
+                return;
+            }
+            this._pushDown(node, false);
+            flush(node.left);
+            flush(node.right);
+        };
+        flush(this.root);
+    }
+
+    /**
+     * Build nodes with empty lazy tags
+     * @private
+     */
+    _buildRecursive(start, end) {
+        const node = super._buildRecursive(start, end);
+        node.lazyAdd = 0;
+        node.lazyAssign = null;
+        return node;
+    }
+
+    /**
+     * Point update has to push tags down along its path
+     * @private
+     */
+    _updateRecursive(node, index, newValue) {
+        if (node) this._pushDown(node);
+        super._updateRecursive(node, index, newValue);
+    }
+
+    /**
+     * Range query pushes tags down before splitting a partially covered node
+     * @private
+     */
+    _queryRecursive(node, l, r, covered) {
+        const isOutside = node.end < l || node.start > r;
+        const isCovered = l <= node.start && node.end <= r;
+
+        if (!isOutside && !isCovered) {
+            this._pushDown(node);
+        }
+
+        return super._queryRecursive(node, l, r, covered);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.LazySegmentTree = LazySegmentTree;
+}
@@ -0,0 +1,25 @@
+/**
+ * TreeLab - Max Heap Implementation
+ *
+ * Purpose: Complete binary tree with heap property (parent ≥ children)
+ * Used for: Priority queues, heap sort (ascending order)
+ */
+
+class MaxHeap extends BinaryHeap {
+    constructor() {
+        super(BinaryHeap.descending, 'Max Heap', 'Maksimum');
+    }
+
+    /**
+     * Get maximum value (peek)
+     * @returns {number|null}
+     */
+    getMax() {
+        return this.peek();
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.MaxHeap = MaxHeap;
+}
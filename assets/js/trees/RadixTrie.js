@@ -0,0 +1,305 @@
+/**
+ * TreeLab - Radix Trie (Compressed / Patricia Trie) Implementation
+ *
+ * Purpose: Trie whose single-child chains are merged into one edge, so each
+ * node carries a whole run of characters (stored in `char`, the edge label)
+ * Used for: Routing tables, dictionaries and word lists with long shared prefixes
+ */
+
+class RadixTrie extends Trie {
+    /**
+     * @param {string|null} caseLocale - Locale used to lower-case words (e.g. 'tr-TR'), null keeps the case
+     */
+    constructor(caseLocale = 'tr-TR') {
+        super(caseLocale);
+        this.name = 'Radix Trie (Sıkıştırılmış)';
+    }
+
+    /**
+     * Insert a word, splitting the edge where the word leaves an existing label
+     * @param {string} word
+     * @returns {boolean} False for an empty or non-string word, like Trie.insert
+     */
+    insert(word) {
+        if (typeof word !== 'string' || word.length === 0) {
+            return false;
+        }
+
+        word = this._normalize(word);
+        this.clearAnimationSteps();
+
+        // Labels are compared character by character (user-perceived characters, see TextUtils)
+        let currentNode = this.root;
+        let rest = TextUtils.splitCharacters(word);
+
+        while (rest.length > 0) {
+            const text = rest.join('');
+            this._addAnimationStep('visit', {
+                node: currentNode,
+                char: rest[0],
+                description: `"${text}" için '${rest[0]}' ile başlayan kenar aranıyor`
+            });
+
+            let child = currentNode.children.get(rest[0]);
+
+            if (!child) {
+                child = new TrieNode(text);
+                currentNode.children.set(rest[0], child);
+                this.nodeCount++;
+
+                this._addAnimationStep('insert', {
+                    node: child,
+                    isNew: true,
+                    description: `'${text}' kenarıyla yeni yaprak eklendi`
+                });
+                currentNode = child;
+                rest = [];
+                break;
+            }
+
+            const label = TextUtils.splitCharacters(child.char);
+            const common = this._commonPrefixLength(label, rest);
+
+            if (common < label.length) {
+                child = this._splitEdge(currentNode, child, common);
+
+                this._addAnimationStep('split', {
+                    node: child,
+                    child: child.children.get(label[common]),
+                    description: `'${label.join('')}' kenarı '${child.char}' + '${label.slice(common).join('')}' olarak bölündü`
+                });
+            }
+
+            currentNode = child;
+            rest = rest.slice(common);
+        }
+
+        currentNode.frequency++;
+
+        if (!currentNode.isEndOfWord) {
+            currentNode.isEndOfWord = true;
+            this.wordCount++;
+            this._addAnimationStep('markEnd', {
+                node: currentNode,
+                description: `"${word}" kelimesi tamamlandı`
+            });
+        } else {
+            this._addAnimationStep('markEnd', {
+                node: currentNode,
+                description: `"${word}" zaten vardı, sıklığı ${currentNode.frequency} oldu`
+            });
+        }
+
+        eventBus.emit(EVENTS.NODE_INSERTED, { value: word, tree: this });
+        return true;
+    }
+
+    /**
+     * Search for a word, comparing whole edge labels
+     * @param {string} word
+     * @returns {TrieNode|null}
+     */
+    search(word) {
+        if (typeof word !== 'string' || word.length === 0) {
+            return null;
+        }
+
+        word = this._normalize(word);
+        this.clearAnimationSteps();
+
+        let currentNode = this.root;
+        let rest = TextUtils.splitCharacters(word);
+
+        while (rest.length > 0) {
+            this._addAnimationStep('visit', { node: currentNode, char: rest[0] });
+
+            const child = currentNode.children.get(rest[0]);
+            const label = child ? TextUtils.splitCharacters(child.char) : [];
+            if (!child || this._commonPrefixLength(label, rest) < label.length) {
+                eventBus.emit(EVENTS.NODE_SEARCHED, { value: word, found: false, tree: this });
+                return null;
+            }
+
+            currentNode = child;
+            rest = rest.slice(label.length);
+        }
+
+        const found = currentNode.isEndOfWord;
+
+        if (found) {
+            this._addAnimationStep('found', { node: currentNode });
+        }
+
+        eventBus.emit(EVENTS.NODE_SEARCHED, { value: word, found, tree: this });
+        return found ? currentNode : null;
+    }
+
+    /**
+     * Check if any word starts with given prefix
+     * @param {string} prefix
+     * @returns {boolean}
+     */
+    startsWith(prefix) {
+        return this.getPrefixPath(prefix) !== null;
+    }
+
+    /**
+     * Nodes on the path of a prefix; the last node's label may run past the prefix
+     * @param {string} prefix
+     * @returns {TrieNode[]|null} Null if no word starts with the prefix
+     */
+    getPrefixPath(prefix) {
+        let rest = TextUtils.splitCharacters(this._normalize(prefix));
+        const path = [this.root];
+
+        while (rest.length > 0) {
+            const child = path[path.length - 1].children.get(rest[0]);
+            if (!child) return null;
+
+            const label = TextUtils.splitCharacters(child.char);
+            const common = this._commonPrefixLength(label, rest);
+
+            if (rest.length <= label.length) {
+                return common === rest.length ? [...path, child] : null;
+            }
+            if (common < label.length) return null;
+
+            path.push(child);
+            rest = rest.slice(label.length);
+        }
+
+        return path;
+    }
+
+    /**
+     * Delete a word: drop its node if it became a leaf, then merge any node
+     * left with a single child and no word of its own into that child
+     * @param {string} word
+     * @returns {boolean}
+     */
+    delete(word) {
+        if (typeof word !== 'string' || word.length === 0) {
+            return false;
+        }
+
+        word = this._normalize(word);
+        this.clearAnimationSteps();
+
+        const path = this._findWordPath(word);
+        if (!path) return false;
+
+        const node = path[path.length - 1];
+        const parent = path[path.length - 2];
+
+        node.isEndOfWord = false;
+        node.frequency = 0;
+        this.wordCount--;
+
+        if (node.children.size === 0) {
+            parent.children.delete(this._firstCharacter(node.char));
+            this.nodeCount--;
+            this._addAnimationStep('delete', {
+                node: parent,
+                removedLeaf: true,
+                description: `"${word}" silindi, '${node.char}' yaprağı kaldırıldı`
+            });
+
+            if (path.length > 2) {
+                this._mergeWithChild(path[path.length - 3], parent);
+            }
+        } else {
+            this._addAnimationStep('delete', {
+                node,
+                description: `"${word}" kelime sonu işareti kaldırıldı`
+            });
+            this._mergeWithChild(parent, node);
+        }
+
+        eventBus.emit(EVENTS.NODE_DELETED, { value: word, tree: this });
+        return true;
+    }
+
+    /**
+     * Path from the root to the node where a stored word ends
+     * @private
+     */
+    _findWordPath(word) {
+        const path = this.getPrefixPath(word);
+        if (!path) return null;
+
+        const node = path[path.length - 1];
+        const text = path.slice(1).map(pathNode => pathNode.char).join('');
+
+        return text === word && node.isEndOfWord ? path : null;
+    }
+
+    /**
+     * Replace child with a new node holding the first `length` characters of its label;
+     * the child keeps the rest of its label and hangs below the new node
+     * @private
+     * @returns {TrieNode} The new middle node
+     */
+    _splitEdge(parent, child, length) {
+        const label = TextUtils.splitCharacters(child.char);
+        const middle = new TrieNode(label.slice(0, length).join(''));
+
+        this._setLabel(child, label.slice(length).join(''));
+        middle.children.set(label[length], child);
+        parent.children.set(label[0], middle);
+        this.nodeCount++;
+
+        return middle;
+    }
+
+    /**
+     * Merge a node that no longer ends a word and has a single child into that child
+     * (the root is never merged)
+     * @private
+     */
+    _mergeWithChild(parent, node) {
+        if (node === this.root || node.isEndOfWord || node.children.size !== 1) return;
+
+        const child = node.children.values().next().value;
+        const label = node.char;
+
+        this._setLabel(child, label + child.char);
+        parent.children.set(this._firstCharacter(label), child);
+        this.nodeCount--;
+
+        this._addAnimationStep('merge', {
+            node: child,
+            description: `'${label}' tek çocuklu kaldı, alt kenarla birleşti: '${child.char}'`
+        });
+    }
+
+    /**
+     * @private
+     */
+    _setLabel(node, label) {
+        node.char = label;
+        node.value = label;
+    }
+
+    /**
+     * Key of an edge in its parent's children map
+     * @private
+     */
+    _firstCharacter(label) {
+        return TextUtils.splitCharacters(label)[0];
+    }
+
+    /**
+     * Number of leading characters two character arrays share
+     * @private
+     */
+    _commonPrefixLength(a, b) {
+        let i = 0;
+        while (i < a.length && i < b.length && a[i] === b[i]) i++;
+        return i;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.RadixTrie = RadixTrie;
+}
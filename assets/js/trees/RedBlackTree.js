@@ -11,7 +11,7 @@
  * - Guarantees O(log n) operations
  */
 
-class RedBlackTree extends TreeBase {
+class RedBlackTree extends SearchTreeBase {
     constructor() {
         super('Red-Black Tree');
     }
@@ -25,7 +25,9 @@ class RedBlackTree extends TreeBase {
         this.root = this._insertNode(this.root, value);
         if (this.root) {
             this.root.color = 'BLACK';
+            this.root.parent = null;
         }
+        this._checkInvariants('insert');
         eventBus.emit(EVENTS.NODE_INSERTED, { value, tree: this });
     }
 
@@ -56,29 +58,34 @@ class RedBlackTree extends TreeBase {
         }
 
         // Fix Red-Black properties
-        return this._fixInsertion(node);
+        return this._balance(node);
     }
 
     /**
-     * Fix Red-Black tree properties after insertion
+     * Restore left-leaning red links on the way back up (insert and delete).
+     * Rotations run before the color flip so no 4-node is left behind,
+     * deletion relies on the tree being a 2-3 tree
      * @private
      */
-    _fixInsertion(node) {
-        // Case 1: Both children are RED
-        if (this._isRed(node.left) && this._isRed(node.right)) {
-            this._flipColors(node);
-        }
+    _balance(node) {
+        // A child subtree may have grown or shrunk below this node
+        this._updateSize(node);
 
-        // Case 2: Right child is RED, left is not (rotate left)
+        // Case 1: Right child is RED, left is not (rotate left)
         if (this._isRed(node.right) && !this._isRed(node.left)) {
             node = this._rotateLeft(node);
         }
 
-        // Case 3: Left child and left-left grandchild are RED (rotate right)
-        if (this._isRed(node.left) && this._isRed(node.left?.left)) {
+        // Case 2: Left child and left-left grandchild are RED (rotate right)
+        if (this._isRed(node.left) && this._isRed(node.left.left)) {
             node = this._rotateRight(node);
         }
 
+        // Case 3: Both children are RED (flip colors)
+        if (this._isRed(node.left) && this._isRed(node.right)) {
+            this._flipColors(node);
+        }
+
         return node;
     }
 
@@ -92,14 +99,22 @@ class RedBlackTree extends TreeBase {
     }
 
     /**
-     * Flip colors
+     * Flip colors of a node and its children
+     * (black parent with red children on insert, the reverse on delete)
      * @private
      */
     _flipColors(node) {
         this._addAnimationStep('colorFlip', { node, description: 'Renk değişimi' });
-        node.color = 'RED';
-        if (node.left) node.left.color = 'BLACK';
-        if (node.right) node.right.color = 'BLACK';
+        node.color = this._toggleColor(node.color);
+        if (node.left) node.left.color = this._toggleColor(node.left.color);
+        if (node.right) node.right.color = this._toggleColor(node.right.color);
+    }
+
+    /**
+     * @private
+     */
+    _toggleColor(color) {
+        return color === 'RED' ? 'BLACK' : 'RED';
     }
 
     /**
@@ -120,6 +135,10 @@ class RedBlackTree extends TreeBase {
         x.parent = node.parent;
         node.parent = x;
         
+        // x takes over node's subtree, node now holds only part of it
+        x.size = node.size;
+        this._updateSize(node);
+        
         return x;
     }
 
@@ -141,6 +160,9 @@ class RedBlackTree extends TreeBase {
         x.parent = node.parent;
         node.parent = x;
         
+        x.size = node.size;
+        this._updateSize(node);
+        
         return x;
     }
 
@@ -178,54 +200,219 @@ class RedBlackTree extends TreeBase {
     }
 
     /**
-     * Delete operation (simplified version)
+     * Delete a value (left-leaning red-black deletion)
+     * Pushes a red link down the search path with moveRedLeft/moveRedRight
+     * so the node finally removed is never a 2-node, then fixes up on the way back
      * @param {number} value
      * @returns {boolean}
      */
     delete(value) {
-        // Red-Black delete is complex, using simplified BST delete
         this.clearAnimationSteps();
-        const initialCount = this.nodeCount;
-        this.root = this._simpleBSTDelete(this.root, value);
-        const deleted = this.nodeCount < initialCount;
         
-        if (deleted && this.root) {
+        if (!this._contains(value)) {
+            return false;
+        }
+
+        // Make the root red so there is a red link to push down
+        if (!this._isRed(this.root.left) && !this._isRed(this.root.right)) {
+            this.root.color = 'RED';
+        }
+
+        this.root = this._deleteNode(this.root, value);
+        if (this.root) {
             this.root.color = 'BLACK';
-            eventBus.emit(EVENTS.NODE_DELETED, { value, tree: this });
+            this.root.parent = null;
         }
-        
-        return deleted;
+
+        this._checkInvariants('delete');
+        eventBus.emit(EVENTS.NODE_DELETED, { value, tree: this });
+        return true;
     }
 
     /**
-     * Simplified BST delete
+     * Helper: Delete recursively (value must exist in the subtree)
      * @private
      */
-    _simpleBSTDelete(node, value) {
-        if (node === null) return null;
+    _deleteNode(node, value) {
+        this._addAnimationStep('compare', { node, value });
 
         if (value < node.value) {
-            node.left = this._simpleBSTDelete(node.left, value);
-        } else if (value > node.value) {
-            node.right = this._simpleBSTDelete(node.right, value);
+            if (!this._isRed(node.left) && !this._isRed(node.left.left)) {
+                node = this._moveRedLeft(node);
+            }
+            node.left = this._deleteNode(node.left, value);
+            if (node.left) node.left.parent = node;
         } else {
-            if (!node.left) {
-                this.nodeCount--;
-                return node.right;
+            if (this._isRed(node.left)) {
+                node = this._rotateRight(node);
             }
-            if (!node.right) {
+
+            // Found at the bottom: remove the (red) leaf
+            if (value === node.value && node.right === null) {
+                this._addAnimationStep('delete', { node });
                 this.nodeCount--;
-                return node.left;
+                return null;
+            }
+
+            if (!this._isRed(node.right) && !this._isRed(node.right.left)) {
+                node = this._moveRedRight(node);
             }
 
-            const successor = this._findMin(node.right);
-            node.value = successor.value;
-            node.right = this._simpleBSTDelete(node.right, successor.value);
+            if (value === node.value) {
+                // Replace with successor, then delete the successor from the right subtree
+                this._addAnimationStep('delete', { node });
+                const successor = this._findMin(node.right);
+                this._addAnimationStep('highlight', { node: successor, reason: 'successor' });
+
+                node.value = successor.value;
+                this._addAnimationStep('replace', { node, successor });
+
+                node.right = this._deleteMin(node.right);
+            } else {
+                node.right = this._deleteNode(node.right, value);
+            }
+            if (node.right) node.right.parent = node;
+        }
+
+        return this._balance(node);
+    }
+
+    /**
+     * Helper: Delete the minimum node of a subtree
+     * @private
+     */
+    _deleteMin(node) {
+        if (node.left === null) {
+            this._addAnimationStep('delete', {
+                node,
+                fromMin: true,
+                description: `${node.value} değeri yukarı taşındı, eski düğümü siliniyor`
+            });
+            this.nodeCount--;
+            return null;
+        }
+
+        if (!this._isRed(node.left) && !this._isRed(node.left.left)) {
+            node = this._moveRedLeft(node);
+        }
+
+        node.left = this._deleteMin(node.left);
+        if (node.left) node.left.parent = node;
+
+        return this._balance(node);
+    }
+
+    /**
+     * Make node.left or one of its children red (borrow from the right sibling)
+     * @private
+     */
+    _moveRedLeft(node) {
+        this._addAnimationStep('moveRedLeft', { node, description: 'Kırmızı bağlantı sola taşınıyor' });
+        this._flipColors(node);
+
+        if (this._isRed(node.right.left)) {
+            node.right = this._rotateRight(node.right);
+            node.right.parent = node;
+            node = this._rotateLeft(node);
+            this._flipColors(node);
+        }
+
+        return node;
+    }
+
+    /**
+     * Make node.right or one of its children red (borrow from the left sibling)
+     * @private
+     */
+    _moveRedRight(node) {
+        this._addAnimationStep('moveRedRight', { node, description: 'Kırmızı bağlantı sağa taşınıyor' });
+        this._flipColors(node);
+
+        if (this._isRed(node.left.left)) {
+            node = this._rotateRight(node);
+            this._flipColors(node);
         }
 
         return node;
     }
 
+    /**
+     * Check whether a value exists (without recording steps)
+     * @private
+     */
+    _contains(value) {
+        let node = this.root;
+        while (node !== null) {
+            if (value === node.value) return true;
+            node = value < node.value ? node.left : node.right;
+        }
+        return false;
+    }
+
+    // ============================================
+    // Validation
+    // ============================================
+
+    /**
+     * Validate red-black properties
+     * @returns {{valid: boolean, errors: string[]}}
+     */
+    validate() {
+        const errors = [];
+
+        if (this._isRed(this.root)) {
+            errors.push('Root is RED');
+        }
+
+        this._validateNode(this.root, -Infinity, Infinity, errors);
+        return { valid: errors.length === 0, errors };
+    }
+
+    /**
+     * Helper: Validate a subtree
+     * @returns {number} Black height of the subtree (counting null links as 1)
+     * @private
+     */
+    _validateNode(node, min, max, errors) {
+        if (node === null) return 1;
+
+        if (node.value <= min || node.value >= max) {
+            errors.push(`BST order violated at ${node.value}`);
+        }
+
+        if (this._isRed(node) && (this._isRed(node.left) || this._isRed(node.right))) {
+            errors.push(`Red-red edge at ${node.value}`);
+        }
+
+        // Deletion walks the tree as a left-leaning RB tree
+        if (this._isRed(node.right) && !this._isRed(node.left)) {
+            errors.push(`Right-leaning red link at ${node.value}`);
+        }
+
+        const leftHeight = this._validateNode(node.left, min, node.value, errors);
+        const rightHeight = this._validateNode(node.right, node.value, max, errors);
+
+        if (leftHeight !== rightHeight) {
+            errors.push(`Black height differs at ${node.value} (${leftHeight} vs ${rightHeight})`);
+        }
+
+        return leftHeight + (this._isRed(node) ? 0 : 1);
+    }
+
+    /**
+     * Run the validator after an operation and report violations
+     * @private
+     */
+    _checkInvariants(operation) {
+        const { valid, errors } = this.validate();
+
+        if (!valid) {
+            eventBus.emit(EVENTS.ERROR_OCCURRED, { tree: this, operation, errors });
+        }
+
+        return valid;
+    }
+
     /**
      * Find minimum node
      * @private
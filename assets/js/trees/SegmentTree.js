@@ -1,13 +1,46 @@
 
 /**
  * Segment Tree Implementation
- * Stores Sum of range.
+ * Stores an aggregate (sum by default, see SegmentTree.AGGREGATES) of each range.
  */
 class SegmentTree extends TreeBase {
-    constructor() {
+    /**
+     * @param {string} aggregate - Key of SegmentTree.AGGREGATES
+     */
+    constructor(aggregate = 'sum') {
         super('Segment Tree');
         this.data = []; // User input data
         this.root = null;
+
+        if (!SegmentTree.AGGREGATES[aggregate]) {
+            throw new Error(`Unknown Segment Tree aggregate: ${aggregate}`);
+        }
+        this.aggregate = aggregate;
+    }
+
+    /**
+     * Get the definition of the active aggregate
+     * @returns {Object}
+     */
+    getAggregate() {
+        return SegmentTree.AGGREGATES[this.aggregate];
+    }
+
+    /**
+     * Combine the values of two child ranges
+     * @private
+     */
+    _combine(a, b) {
+        return this.getAggregate().combine(a, b);
+    }
+
+    /**
+     * Value stored in the leaf for an input element
+     * @private
+     */
+    _leafValue(value) {
+        const { leaf } = this.getAggregate();
+        return leaf ? leaf(value) : value;
     }
 
     /**
@@ -30,6 +63,22 @@ class SegmentTree extends TreeBase {
         this._addAnimationStep('insert', { value: numVal, index: this.data.length - 1 });
     }
 
+    /**
+     * Clear the tree and its input array
+     */
+    clear() {
+        this.data = [];
+        super.clear();
+    }
+
+    /**
+     * Get a copy of the input array
+     * @returns {Array<number>}
+     */
+    getData() {
+        return [...this.data];
+    }
+
     buildTree() {
         if (this.data.length === 0) {
             this.root = null;
@@ -47,7 +96,7 @@ class SegmentTree extends TreeBase {
         node.rangeText = `[${start}-${end}]`; // For visualization if needed
 
         if (start === end) {
-            node.value = this.data[start];
+            node.value = this._leafValue(this.data[start]);
             return node;
         }
 
@@ -58,7 +107,7 @@ class SegmentTree extends TreeBase {
         if (node.left) node.left.parent = node;
         if (node.right) node.right.parent = node;
 
-        node.value = node.left.value + node.right.value;
+        node.value = this._combine(node.left.value, node.right.value);
         return node;
     }
 
@@ -81,7 +130,7 @@ class SegmentTree extends TreeBase {
     _searchLeaves(node, value) {
         if (!node) return null;
         if (node.start === node.end) {
-            if (node.value === value) {
+            if (this.data[node.start] === value) {
                 this._addAnimationStep('found', { node, value });
                 return node;
             }
@@ -105,18 +154,25 @@ class SegmentTree extends TreeBase {
         return false;
     }
     
-    // Custom method for Point Update (if UI supports it later)
+    /**
+     * Point update: data[index] = newValue, then recompute the sums on the path to the root
+     * @param {number} index
+     * @param {number} newValue
+     * @returns {boolean} False if index is out of range
+     */
     update(index, newValue) {
-        if (index < 0 || index >= this.data.length) return;
+        this.clearAnimationSteps();
+        if (index < 0 || index >= this.data.length) return false;
         this.data[index] = newValue;
         this._updateRecursive(this.root, index, newValue);
+        return true;
     }
 
     _updateRecursive(node, index, newValue) {
         if (!node) return;
         
         if (node.start === node.end) {
-            node.value = newValue;
+            node.value = this._leafValue(newValue);
             this._addAnimationStep('update', { node, value: newValue });
             return; // Return diff?
         }
@@ -128,11 +184,112 @@ class SegmentTree extends TreeBase {
             this._updateRecursive(node.right, index, newValue);
         }
         
-        node.value = node.left.value + node.right.value;
+        node.value = this._combine(node.left.value, node.right.value);
         this._addAnimationStep('update_internal', { node, value: node.value });
     }
+
+    /**
+     * Range query over data[l..r] (inclusive) with the active aggregate
+     * Records every visited node as covered, partially covered or skipped
+     * @param {number} l
+     * @param {number} r
+     * @returns {number|null} Aggregate, or null if the range is invalid
+     */
+    query(l, r) {
+        this.clearAnimationSteps();
+        if (!this.root || l > r || l < 0 || r >= this.data.length) return null;
+        return this._queryRecursive(this.root, l, r, []);
+    }
+
+    /**
+     * @param {Array} covered - Nodes already added to the result (kept highlighted)
+     * @private
+     */
+    _queryRecursive(node, l, r, covered) {
+        // No overlap
+        if (node.end < l || node.start > r) {
+            this._addAnimationStep('skipped', { node, l, r, resultNodes: [...covered] });
+            return this.getAggregate().identity;
+        }
+
+        // Fully covered: use the stored value
+        if (l <= node.start && node.end <= r) {
+            covered.push(node);
+            this._addAnimationStep('covered', { node, l, r, value: node.value, resultNodes: [...covered] });
+            return node.value;
+        }
+
+        // Partial overlap: split into both children
+        this._addAnimationStep('partial', { node, l, r, resultNodes: [...covered] });
+        const leftValue = this._queryRecursive(node.left, l, r, covered);
+        const rightValue = this._queryRecursive(node.right, l, r, covered);
+        return this._combine(leftValue, rightValue);
+    }
+
+    /**
+     * Greatest common divisor (non-negative)
+     * @param {number} a
+     * @param {number} b
+     * @returns {number}
+     */
+    static gcd(a, b) {
+        a = Math.abs(a);
+        b = Math.abs(b);
+        while (b) {
+            [a, b] = [b, a % b];
+        }
+        return a;
+    }
 }
 
+/**
+ * Aggregates a segment tree can maintain
+ * combine: merges two child values, identity: neutral element for empty ranges,
+ * leaf: maps an input element to its leaf value (defaults to the element itself),
+ * add / assign: new value of a range of `length` elements after a range update
+ * (only aggregates that define both support lazy propagation)
+ */
+SegmentTree.AGGREGATES = {
+    sum: {
+        label: 'Toplam',
+        combine: (a, b) => a + b,
+        identity: 0,
+        add: (value, delta, length) => value + delta * length,
+        assign: (x, length) => x * length
+    },
+    min: {
+        label: 'Minimum',
+        combine: (a, b) => Math.min(a, b),
+        identity: Infinity,
+        add: (value, delta) => value + delta,
+        assign: (x) => x
+    },
+    max: {
+        label: 'Maksimum',
+        combine: (a, b) => Math.max(a, b),
+        identity: -Infinity,
+        add: (value, delta) => value + delta,
+        assign: (x) => x
+    },
+    gcd: {
+        label: 'EBOB (gcd)',
+        combine: (a, b) => SegmentTree.gcd(a, b),
+        identity: 0,
+        leaf: (x) => Math.abs(x)
+    },
+    xor: {
+        label: 'XOR',
+        combine: (a, b) => a ^ b,
+        identity: 0
+    },
+    count: {
+        label: 'Sıfır olmayan eleman sayısı',
+        combine: (a, b) => a + b,
+        identity: 0,
+        leaf: (x) => (x !== 0 ? 1 : 0)
+    }
+};
+
 if (typeof window !== 'undefined') {
     window.SegmentTree = SegmentTree;
 }
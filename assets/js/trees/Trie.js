@@ -10,6 +10,7 @@ class TrieNode {
         this.char = char;
         this.children = new Map(); // char -> TrieNode
         this.isEndOfWord = false;
+        this.frequency = 0; // How many times the word ending here was inserted
         this.value = char; // For visualization compatibility
         
         // Visual properties
@@ -18,40 +19,61 @@ class TrieNode {
         this.isHighlighted = false;
         this.isVisited = false;
         this.isCurrent = false;
+        this.isPruned = false;
     }
 
     resetVisualState() {
         this.isHighlighted = false;
         this.isVisited = false;
         this.isCurrent = false;
+        this.isPruned = false;
     }
 }
 
 class Trie extends TreeBase {
-    constructor() {
+    /**
+     * @param {string|null} caseLocale - Locale used to lower-case words (e.g. 'tr-TR'), null keeps the case
+     */
+    constructor(caseLocale = 'tr-TR') {
         super('Trie (Prefix Tree)');
         this.root = new TrieNode('ROOT');
         this.wordCount = 0;
+        this.caseLocale = caseLocale;
+    }
+
+    /**
+     * Stored form of a word (see TextUtils.normalize)
+     * @protected
+     */
+    _normalize(word) {
+        return TextUtils.normalize(word, this.caseLocale);
+    }
+
+    /**
+     * Alphabetical order of the trie's locale (ç after c, ı before i in Turkish)
+     * @protected
+     */
+    _compareWords(a, b) {
+        return a.localeCompare(b, this.caseLocale || undefined);
     }
 
     /**
      * Insert a word into the trie
      * @param {string} word
+     * @returns {boolean} False for an empty or non-string word
      */
     insert(word) {
         if (typeof word !== 'string' || word.length === 0) {
-            alert('Lütfen geçerli bir kelime girin');
-            return;
+            return false;
         }
 
-        word = word.toLowerCase();
+        word = this._normalize(word);
         this.clearAnimationSteps();
         
         let currentNode = this.root;
         
-        for (let i = 0; i < word.length; i++) {
-            const char = word[i];
-            
+        // One node per user-perceived character, so 'ğ' or an emoji is never split apart
+        for (const char of TextUtils.splitCharacters(word)) {
             this._addAnimationStep('visit', { 
                 node: currentNode, 
                 char,
@@ -73,6 +95,8 @@ class Trie extends TreeBase {
             currentNode = currentNode.children.get(char);
         }
         
+        currentNode.frequency++;
+        
         if (!currentNode.isEndOfWord) {
             currentNode.isEndOfWord = true;
             this.wordCount++;
@@ -80,9 +104,15 @@ class Trie extends TreeBase {
                 node: currentNode,
                 description: `"${word}" kelimesi tamamlandı`
             });
+        } else {
+            this._addAnimationStep('markEnd', {
+                node: currentNode,
+                description: `"${word}" zaten vardı, sıklığı ${currentNode.frequency} oldu`
+            });
         }
         
         eventBus.emit(EVENTS.NODE_INSERTED, { value: word, tree: this });
+        return true;
     }
 
     /**
@@ -95,14 +125,12 @@ class Trie extends TreeBase {
             return null;
         }
 
-        word = word.toLowerCase();
+        word = this._normalize(word);
         this.clearAnimationSteps();
         
         let currentNode = this.root;
         
-        for (let i = 0; i < word.length; i++) {
-            const char = word[i];
-            
+        for (const char of TextUtils.splitCharacters(word)) {
             this._addAnimationStep('visit', { node: currentNode, char });
             
             if (!currentNode.children.has(char)) {
@@ -129,10 +157,10 @@ class Trie extends TreeBase {
      * @returns {boolean}
      */
     startsWith(prefix) {
-        prefix = prefix.toLowerCase();
+        prefix = this._normalize(prefix);
         let currentNode = this.root;
         
-        for (const char of prefix) {
+        for (const char of TextUtils.splitCharacters(prefix)) {
             if (!currentNode.children.has(char)) {
                 return false;
             }
@@ -142,6 +170,260 @@ class Trie extends TreeBase {
         return true;
     }
 
+    /**
+     * Nodes on the path of a prefix, from the root to the node of its last character
+     * @param {string} prefix
+     * @returns {TrieNode[]|null} Null if no word starts with the prefix
+     */
+    getPrefixPath(prefix) {
+        prefix = this._normalize(prefix);
+        const path = [this.root];
+        
+        for (const char of TextUtils.splitCharacters(prefix)) {
+            const child = path[path.length - 1].children.get(char);
+            if (!child) return null;
+            path.push(child);
+        }
+        
+        return path;
+    }
+
+    /**
+     * Words that start with a prefix
+     * @param {string} prefix
+     * @param {number} limit - Maximum number of suggestions
+     * @param {boolean} ranked - Most frequently inserted words first (alphabetical otherwise)
+     * @returns {{word: string, frequency: number}[]}
+     */
+    autocomplete(prefix, limit = 10, ranked = true) {
+        const path = this.getPrefixPath(prefix);
+        if (!path) return [];
+        
+        // In RadixTrie the last edge may run past the prefix
+        const text = path.slice(1).map(node => node.char).join('');
+        const suggestions = [];
+        this._collectCompletions(path[path.length - 1], text, suggestions);
+        
+        suggestions.sort((a, b) => {
+            if (ranked && a.frequency !== b.frequency) return b.frequency - a.frequency;
+            return this._compareWords(a.word, b.word);
+        });
+        
+        return suggestions.slice(0, limit);
+    }
+
+    /**
+     * Collect the words below a node together with their frequencies
+     * @private
+     */
+    _collectCompletions(node, prefix, suggestions) {
+        if (node.isEndOfWord) {
+            suggestions.push({ word: prefix, frequency: node.frequency });
+        }
+
+        for (const childNode of node.children.values()) {
+            this._collectCompletions(childNode, prefix + childNode.char, suggestions);
+        }
+    }
+
+    /**
+     * Find the words matching a pattern: '?' matches exactly one character,
+     * '*' matches any run of characters (including none)
+     * @param {string} pattern
+     * @returns {string[]} Matching words in alphabetical order
+     */
+    patternSearch(pattern) {
+        pattern = this._normalize(pattern);
+        this.clearAnimationSteps();
+
+        const search = {
+            pattern: TextUtils.splitCharacters(pattern),
+            matches: [],
+            resultNodes: [],
+            pruned: new Set(),
+            explored: new Map() // node -> pattern indices already matched from it
+        };
+
+        this._matchPattern(this.root, '', 0, search);
+
+        eventBus.emit(EVENTS.NODE_SEARCHED, { value: pattern, found: search.matches.length > 0, tree: this });
+        return search.matches.sort((a, b) => this._compareWords(a, b));
+    }
+
+    /**
+     * Match pattern[index..] against the words below a node
+     * @private
+     */
+    _matchPattern(node, prefix, index, search) {
+        const { pattern } = search;
+        const tried = search.explored.get(node) || new Set();
+        if (tried.has(index)) return;
+        tried.add(index);
+        search.explored.set(node, tried);
+
+        const symbol = index < pattern.length ? pattern[index] : undefined;
+        search.pruned.delete(node);
+        this._addSearchStep('visit', node, search, {
+            symbol,
+            patternIndex: index,
+            description: symbol === undefined
+                ? `'${prefix}' düğümünde kalıp bitti`
+                : `'${prefix || 'kök'}' düğümünde kalıbın kalanı "${pattern.slice(index).join('')}" eşleştiriliyor`
+        });
+
+        if (symbol === undefined && node.isEndOfWord && !search.matches.includes(prefix)) {
+            search.matches.push(prefix);
+            search.resultNodes.push(node);
+            this._addSearchStep('found', node, search, { description: `"${prefix}" kalıba uyuyor` });
+        }
+
+        for (const child of node.children.values()) {
+            this._matchEdge(child, prefix, 0, index, search);
+        }
+
+        if (symbol === '*') {
+            this._matchPattern(node, prefix, index + 1, search); // '*' matches nothing here
+        }
+    }
+
+    /**
+     * Match pattern[index..] against the label of the edge into a child, from its offset-th character
+     * (labels are single characters here, whole runs of characters in RadixTrie)
+     * @private
+     */
+    _matchEdge(child, prefix, offset, index, search) {
+        const label = TextUtils.splitCharacters(child.char);
+
+        if (offset === label.length) {
+            this._matchPattern(child, prefix + child.char, index, search);
+            return;
+        }
+
+        const symbol = search.pattern[index];
+
+        if (symbol === '*') {
+            this._matchEdge(child, prefix, offset + 1, index, search); // '*' takes one more character
+            this._matchEdge(child, prefix, offset, index + 1, search); // '*' matches nothing
+            return;
+        }
+
+        if (symbol === '?' || symbol === label[offset]) {
+            this._matchEdge(child, prefix, offset + 1, index + 1, search);
+            return;
+        }
+
+        // Mismatch or pattern exhausted: unless another '*' branch reaches it, nothing below can match
+        if (search.explored.has(child) || search.pruned.has(child)) return;
+
+        const text = prefix + label.slice(0, offset + 1).join('');
+        this._pruneBranch(child, search, {
+            symbol,
+            description: symbol === undefined
+                ? `Kalıp bitti, '${text}' ile devam eden kelimeler elendi`
+                : `'${text}' kalıpla uyuşmuyor ('${symbol}' bekleniyordu), dal budandı`
+        });
+    }
+
+    /**
+     * Find the words within Levenshtein distance maxDistance of a word.
+     * Every trie edge adds one DP row: the edit distances between the path so far
+     * and each prefix of the word. A row never gets smaller further down,
+     * so a branch is cut as soon as its smallest value exceeds maxDistance
+     * @param {string} word
+     * @param {number} maxDistance
+     * @returns {{word: string, distance: number}[]} Closest words first
+     */
+    fuzzySearch(word, maxDistance = 1) {
+        word = this._normalize(word);
+        this.clearAnimationSteps();
+
+        const chars = TextUtils.splitCharacters(word);
+        const search = { word: chars, maxDistance, matches: [], resultNodes: [], pruned: new Set() };
+        const firstRow = Array.from({ length: chars.length + 1 }, (_, j) => j);
+
+        this._addSearchStep('visit', this.root, search, {
+            row: firstRow,
+            description: `Boş önek için başlangıç satırı: [${firstRow.join(', ')}]`
+        });
+
+        for (const child of this.root.children.values()) {
+            this._fuzzyWalk(child, child.char, firstRow, search);
+        }
+
+        search.matches.sort((a, b) => a.distance - b.distance || this._compareWords(a.word, b.word));
+
+        eventBus.emit(EVENTS.NODE_SEARCHED, { value: word, found: search.matches.length > 0, tree: this });
+        return search.matches;
+    }
+
+    /**
+     * Compute the DP row of a node from its parent's row (one row per character
+     * of the edge label), then go deeper unless pruned
+     * @private
+     */
+    _fuzzyWalk(node, prefix, previousRow, search) {
+        const { word, maxDistance } = search;
+        let row = previousRow;
+
+        for (const char of TextUtils.splitCharacters(node.char)) {
+            const above = row;
+            row = [above[0] + 1];
+            for (let j = 1; j <= word.length; j++) {
+                const cost = word[j - 1] === char ? 0 : 1;
+                row.push(Math.min(row[j - 1] + 1, above[j] + 1, above[j - 1] + cost));
+            }
+        }
+
+        const best = Math.min(...row);
+        if (best > maxDistance) {
+            this._pruneBranch(node, search, {
+                row,
+                description: `'${prefix}' satırı [${row.join(', ')}], en küçük değer ${best} > ${maxDistance}: dal budandı`
+            });
+            return;
+        }
+
+        this._addSearchStep('visit', node, search, {
+            row,
+            description: `'${prefix}' satırı: [${row.join(', ')}]`
+        });
+
+        const distance = row[word.length];
+        if (node.isEndOfWord && distance <= maxDistance) {
+            search.matches.push({ word: prefix, distance });
+            search.resultNodes.push(node);
+            this._addSearchStep('found', node, search, { description: `"${prefix}" bulundu, uzaklık ${distance}` });
+        }
+
+        for (const child of node.children.values()) {
+            this._fuzzyWalk(child, prefix + child.char, row, search);
+        }
+    }
+
+    /**
+     * Mark a whole subtree as pruned (never explored)
+     * @private
+     */
+    _pruneBranch(node, search, data) {
+        const branch = [];
+        this._collectNodes(node, branch);
+        branch.forEach(branchNode => search.pruned.add(branchNode));
+
+        this._addSearchStep('prune', node, search, data);
+    }
+
+    /**
+     * Record a search step; matches found so far stay highlighted
+     * and pruned branches stay greyed out on the following steps
+     * @private
+     */
+    _addSearchStep(action, node, search, data) {
+        this._addAnimationStep(action, Object.assign({ node }, data, {
+            resultNodes: [...search.resultNodes],
+            prunedNodes: [...search.pruned]
+        }));
+    }
+
     /**
      * Delete a word
      * @param {string} word
@@ -152,27 +434,29 @@ class Trie extends TreeBase {
             return false;
         }
 
-        word = word.toLowerCase();
+        word = this._normalize(word);
         this.clearAnimationSteps();
         
-        const deleted = this._deleteWord(this.root, word, 0);
+        // _deleteWord reports whether a node can be removed, not whether the word existed
+        const path = this.getPrefixPath(word);
+        if (!path || !path[path.length - 1].isEndOfWord) return false;
         
-        if (deleted) {
-            this.wordCount--;
-            eventBus.emit(EVENTS.NODE_DELETED, { value: word, tree: this });
-        }
+        this._deleteWord(this.root, TextUtils.splitCharacters(word), 0);
+        this.wordCount--;
+        eventBus.emit(EVENTS.NODE_DELETED, { value: word, tree: this });
         
-        return deleted;
+        return true;
     }
 
     /**
-     * Helper method to delete a word recursively
+     * Helper method to delete a word (given as its characters) recursively
      * @private
      */
     _deleteWord(node, word, index) {
         if (index === word.length) {
             if (!node.isEndOfWord) return false;
             node.isEndOfWord = false;
+            node.frequency = 0;
             return node.children.size === 0;
         }
 
@@ -236,8 +520,8 @@ class Trie extends TreeBase {
             words.push(prefix);
         }
 
-        for (const [char, childNode] of node.children) {
-            this._collectWords(childNode, prefix + char, words);
+        for (const childNode of node.children.values()) {
+            this._collectWords(childNode, prefix + childNode.char, words);
         }
     }
 
@@ -252,10 +536,10 @@ class Trie extends TreeBase {
      * Clear the trie
      */
     clear() {
+        super.clear();
         this.root = new TrieNode('ROOT');
         this.nodeCount = 0;
         this.wordCount = 0;
-        super.clear();
     }
 
     /**
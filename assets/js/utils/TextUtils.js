@@ -0,0 +1,54 @@
+/**
+ * TreeLab - Text Utilities
+ *
+ * Purpose: Unicode-aware helpers for string keys (Trie / Radix Trie) and their labels
+ *
+ * - A character is a user-perceived character (grapheme cluster): 'ğ', 'İ' or an
+ *   emoji such as '👍🏽' is one character although it spans several UTF-16 code units
+ * - Case folding follows locale rules, so in Turkish 'I' becomes 'ı' and 'İ' becomes 'i'
+ */
+
+class TextUtils {
+    /**
+     * Split text into user-perceived characters
+     * (code points where Intl.Segmenter is not available)
+     * @param {string} text
+     * @returns {string[]}
+     */
+    static splitCharacters(text) {
+        if (typeof Intl !== 'undefined' && typeof Intl.Segmenter === 'function') {
+            if (!TextUtils._segmenter) {
+                TextUtils._segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+            }
+            return Array.from(TextUtils._segmenter.segment(text), part => part.segment);
+        }
+
+        return Array.from(text);
+    }
+
+    /**
+     * Number of user-perceived characters
+     * @param {string} text
+     * @returns {number}
+     */
+    static characterCount(text) {
+        return TextUtils.splitCharacters(text).length;
+    }
+
+    /**
+     * Bring a word to the form it is stored in: composed (NFC), so that 'ş' typed
+     * as 's' + combining cedilla is the same key as 'ş', then lower-cased with the rules of a locale
+     * @param {string} text
+     * @param {string|null} locale - e.g. 'tr-TR', null keeps the case
+     * @returns {string}
+     */
+    static normalize(text, locale = null) {
+        const composed = text.normalize('NFC');
+        return locale ? composed.toLocaleLowerCase(locale) : composed;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.TextUtils = TextUtils;
+}
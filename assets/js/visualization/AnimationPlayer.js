@@ -0,0 +1,252 @@
+/**
+ * TreeLab - AnimationPlayer
+ *
+ * Purpose: Plays back the animation steps recorded by tree operations
+ * (TreeBase._addAnimationStep) one by one on the canvas
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Handles only step timing and playback state
+ * - Dependency Inversion: Renders through TreeVisualizer, talks to the page via EventBus
+ */
+
+class AnimationPlayer {
+    /**
+     * @param {TreeVisualizer} visualizer - Visualizer used to render each step
+     */
+    constructor(visualizer) {
+        this.visualizer = visualizer;
+        this.steps = [];
+        this.currentIndex = -1;
+        this.isPlaying = false;
+        this.onComplete = null;
+        this.timer = null;
+
+        // Playback timing
+        this.speed = 1;
+        this.baseDelay = 700; // ms per step at 1x speed
+
+        eventBus.on(EVENTS.ANIMATION_SPEED_CHANGED, ({ speed }) => this.setSpeed(speed));
+    }
+
+    /**
+     * Start playing a list of recorded steps
+     * @param {Array} steps - Steps drained from TreeBase.getAnimationSteps()
+     * @param {Function|null} onComplete - Called after the last step has been shown
+     */
+    play(steps, onComplete = null) {
+        this.stop();
+
+        this.steps = steps || [];
+        this.currentIndex = -1;
+        this.onComplete = onComplete;
+
+        if (this.steps.length === 0) {
+            this._finish();
+            return;
+        }
+
+        this.isPlaying = true;
+        eventBus.emit(EVENTS.ANIMATION_START, { steps: this.steps, total: this.steps.length });
+        this._tick();
+    }
+
+    /**
+     * Stop playback without finishing the current operation
+     */
+    stop() {
+        this._clearTimer();
+        this.isPlaying = false;
+    }
+
+    /**
+     * Stop playback and drop the loaded steps (e.g. when the tree changes)
+     */
+    reset() {
+        this.stop();
+        this.steps = [];
+        this.currentIndex = -1;
+        this.onComplete = null;
+    }
+
+    /**
+     * Pause playback on the current step
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.stop();
+        eventBus.emit(EVENTS.ANIMATION_PAUSE, { index: this.currentIndex, total: this.steps.length });
+    }
+
+    /**
+     * Resume playback (restarts from the first step if already at the end)
+     */
+    resume() {
+        if (this.isPlaying || this.steps.length === 0) return;
+
+        if (this.isAtEnd()) {
+            this.currentIndex = -1;
+        }
+
+        this.isPlaying = true;
+        eventBus.emit(EVENTS.ANIMATION_RESUME, { index: this.currentIndex, total: this.steps.length });
+        this._tick();
+    }
+
+    /**
+     * Toggle between pause and resume
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.resume();
+        }
+    }
+
+    /**
+     * Show the next step (pauses playback)
+     */
+    stepForward() {
+        this.pause();
+        if (!this.isAtEnd()) {
+            this.goToStep(this.currentIndex + 1);
+        }
+    }
+
+    /**
+     * Show the previous step, restoring its tree snapshot (pauses playback)
+     */
+    stepBack() {
+        this.pause();
+        if (this.currentIndex > 0) {
+            this.goToStep(this.currentIndex - 1);
+        }
+    }
+
+    /**
+     * Jump to the first step (pauses playback)
+     */
+    goToStart() {
+        this.pause();
+        this.goToStep(0);
+    }
+
+    /**
+     * Jump to the final tree state (pauses playback)
+     */
+    goToEnd() {
+        this.pause();
+        this.goToStep(this.steps.length);
+    }
+
+    /**
+     * Show a specific step; index === steps.length shows the final state
+     * @param {number} index
+     */
+    goToStep(index) {
+        if (this.steps.length === 0) return;
+
+        this.currentIndex = Math.max(0, Math.min(index, this.steps.length));
+
+        if (this.isAtEnd()) {
+            this._finish();
+            return;
+        }
+
+        this._showCurrentStep();
+    }
+
+    /**
+     * Check whether the final state is on screen
+     * @returns {boolean}
+     */
+    isAtEnd() {
+        return this.currentIndex >= this.steps.length;
+    }
+
+    /**
+     * Change playback speed
+     * @param {number} speed - Multiplier (e.g. 0.25 - 2)
+     */
+    setSpeed(speed) {
+        if (speed > 0) {
+            this.speed = speed;
+        }
+    }
+
+    /**
+     * Get delay between steps for the current speed
+     * @returns {number} Delay in ms
+     */
+    getStepDelay() {
+        return this.baseDelay / this.speed;
+    }
+
+    /**
+     * Show the next step and schedule the one after it
+     * @private
+     */
+    _tick() {
+        this.timer = null;
+        this.currentIndex++;
+
+        if (this.isAtEnd()) {
+            this._finish();
+            return;
+        }
+
+        this._showCurrentStep();
+        this.timer = setTimeout(() => this._tick(), this.getStepDelay());
+    }
+
+    /**
+     * Render the step at currentIndex
+     * @private
+     */
+    _showCurrentStep() {
+        const step = this.steps[this.currentIndex];
+        this.visualizer.drawStep(step);
+
+        eventBus.emit(EVENTS.ANIMATION_STEP, {
+            step,
+            index: this.currentIndex,
+            total: this.steps.length
+        });
+    }
+
+    /**
+     * Cancel the pending step timer
+     * @private
+     */
+    _clearTimer() {
+        if (this.timer !== null) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Finish playback and show the final tree state
+     * @private
+     */
+    _finish() {
+        this._clearTimer();
+        this.isPlaying = false;
+        this.currentIndex = this.steps.length;
+        this.visualizer.clearHighlights();
+
+        eventBus.emit(EVENTS.ANIMATION_COMPLETE, { total: this.steps.length });
+
+        if (this.onComplete) {
+            const callback = this.onComplete;
+            this.onComplete = null;
+            callback();
+        }
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.AnimationPlayer = AnimationPlayer;
+}
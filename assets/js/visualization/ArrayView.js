@@ -0,0 +1,166 @@
+/**
+ * TreeLab - ArrayView
+ *
+ * Purpose: Array strip under the canvas for trees that are stored in arrays
+ * (Fenwick Tree, binary heaps), kept in sync with the step on screen
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Renders array rows and range brackets only
+ * - Open/Closed: Trees opt in by implementing getArrayState(step)
+ * - Dependency Inversion: Follows AnimationPlayer through EventBus events
+ *
+ * getArrayState(step) returns null (no strip) or:
+ * {
+ *   firstIndex: number,                      // index shown above the first cell
+ *   rows: [{ label, values }],               // one row per array
+ *   ranges: [{ start, end, title }] | null,  // bracket per cell (array indices, inclusive)
+ *   active: number[],                        // cells of the current step
+ *   highlighted: number[],                   // cells that already contributed to the result
+ *   mutedFrom: number | null                 // optional: cells from here on are greyed out behind a divider
+ * }
+ */
+
+class ArrayView {
+    /**
+     * @param {string} containerId - Element that holds the strip
+     * @param {AnimationPlayer} player
+     */
+    constructor(containerId, player) {
+        this.container = document.getElementById(containerId);
+        if (!this.container) {
+            throw new Error(`Array view element '${containerId}' not found`);
+        }
+
+        this.player = player;
+        this.tree = null;
+
+        [
+            EVENTS.ANIMATION_START,
+            EVENTS.ANIMATION_STEP,
+            EVENTS.ANIMATION_COMPLETE
+        ].forEach(eventName => eventBus.on(eventName, () => this.update()));
+    }
+
+    /**
+     * Follow a new tree (the strip is hidden for trees without getArrayState)
+     * @param {TreeBase} tree
+     */
+    setTree(tree) {
+        this.tree = tree;
+        this.update();
+    }
+
+    /**
+     * Render the arrays as they are at the step on screen
+     * (the current tree state once playback is finished)
+     */
+    update() {
+        const state = this._getState();
+
+        this.container.style.display = state ? 'block' : 'none';
+        this.container.innerHTML = '';
+
+        if (state) {
+            this.container.appendChild(this._renderGrid(state));
+        }
+    }
+
+    /**
+     * @private
+     */
+    _getState() {
+        if (!this.tree || typeof this.tree.getArrayState !== 'function') return null;
+
+        const steps = this.player.steps;
+        const index = this.player.currentIndex;
+        const step = index >= 0 && index < steps.length ? steps[index] : null;
+
+        return this.tree.getArrayState(step);
+    }
+
+    /**
+     * Build the grid: index header, one row per array, then the bracket levels
+     * @private
+     */
+    _renderGrid(state) {
+        const size = state.rows.length > 0 ? state.rows[0].values.length : 0;
+        const grid = document.createElement('div');
+        grid.className = 'array-view-grid';
+        grid.style.gridTemplateColumns = `auto repeat(${size}, minmax(32px, 1fr))`;
+
+        const mutedFrom = Number.isInteger(state.mutedFrom) ? state.mutedFrom : null;
+        const cellClass = (base, i) => {
+            if (mutedFrom !== null && i === mutedFrom) base = `${base} divider`;
+            if (state.active.includes(i)) return `${base} active`;
+            if (state.highlighted.includes(i)) return `${base} highlighted`;
+            if (mutedFrom !== null && i >= mutedFrom) return `${base} muted`;
+            return base;
+        };
+
+        let row = 1;
+
+        // Index header
+        grid.appendChild(this._createItem('array-view-label', '', row, 1));
+        for (let i = 0; i < size; i++) {
+            grid.appendChild(this._createItem('array-view-index', state.firstIndex + i, row, i + 2));
+        }
+
+        state.rows.forEach(({ label, values }) => {
+            row++;
+            grid.appendChild(this._createItem('array-view-label', label, row, 1));
+            values.forEach((value, i) => {
+                grid.appendChild(this._createItem(cellClass('array-view-cell', i), value, row, i + 2));
+            });
+        });
+
+        if (state.ranges) {
+            this._renderRanges(grid, state, row + 1, cellClass);
+        }
+
+        return grid;
+    }
+
+    /**
+     * Draw one bracket per cell, nested brackets on lower rows
+     * (a bracket goes one row below the longest bracket it contains)
+     * @private
+     */
+    _renderRanges(grid, state, firstRow, cellClass) {
+        const levels = state.ranges.map(() => 0);
+
+        state.ranges.forEach((range, i) => {
+            state.ranges.forEach((inner, j) => {
+                if (j !== i && range.start <= inner.start && inner.end <= range.end &&
+                    inner.end - inner.start < range.end - range.start) {
+                    levels[i] = Math.max(levels[i], levels[j] + 1);
+                }
+            });
+        });
+
+        grid.appendChild(this._createItem('array-view-label', 'aralık', firstRow, 1));
+
+        state.ranges.forEach((range, i) => {
+            const bracket = this._createItem(cellClass('array-view-range', i), '', firstRow + levels[i], range.start + 2);
+            bracket.style.gridColumnEnd = String(range.end + 3);
+            bracket.title = range.title || '';
+            grid.appendChild(bracket);
+        });
+    }
+
+    /**
+     * @private
+     */
+    _createItem(className, text, row, column) {
+        const item = document.createElement('div');
+        item.className = className;
+        item.textContent = String(text);
+        item.style.gridRowStart = String(row);
+        item.style.gridColumnStart = String(column);
+        return item;
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.ArrayView = ArrayView;
+}
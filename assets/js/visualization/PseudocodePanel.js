@@ -0,0 +1,927 @@
+/**
+ * TreeLab - PseudocodePanel
+ *
+ * Purpose: Shows pseudocode for the last operation and highlights the line
+ * that belongs to the animation step currently on the canvas
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Renders pseudocode and the active line only
+ * - Open/Closed: New tree types only add an entry to PSEUDOCODE
+ * - Dependency Inversion: Follows AnimationPlayer through EventBus events
+ */
+
+/**
+ * Check whether the rotation at index is one half of a double rotation
+ * @param {Array} steps
+ * @param {number} index
+ * @returns {boolean} True if the rotation at index is part of a double rotation
+ */
+function isDoubleRotation(steps, index) {
+    const isRotation = (i) => steps[i] && steps[i].action === 'rotation';
+    return isRotation(index - 1) || isRotation(index + 1);
+}
+
+/**
+ * Pick the line of a compare step: x < node, x > node or x == node
+ * Reads the node value from the step snapshot, since deletion may overwrite it later
+ * @param {Object} step
+ * @param {Array<number>} lines - [less, greater, equal] line indices
+ * @returns {number}
+ */
+function compareLine(step, [less, greater, equal]) {
+    const { node, value } = step.data;
+    const nodeValue = ((step.snapshot && step.snapshot.nodeMap.get(node)) || node).value;
+
+    if (value < nodeValue) return less;
+    if (value > nodeValue) return greater;
+    return equal;
+}
+
+/**
+ * Pick the line of a rotation / color flip during red-black deletion
+ * Uses the last step that was not a fix-up to tell which part of the walk it belongs to
+ * @param {Object} step
+ * @param {number} index
+ * @param {Array} steps
+ * @returns {number}
+ */
+function redBlackDeleteFixLine(step, index, steps) {
+    let i = index - 1;
+    while (i >= 0 && (steps[i].action === 'rotation' || steps[i].action === 'colorFlip')) i--;
+
+    const previous = steps[i] ? steps[i].action : null;
+    if (previous === 'moveRedLeft') return 2;
+    if (previous === 'moveRedRight') return 7;
+    if (previous === 'compare' && step.action === 'rotation') return 5;
+    return 12;
+}
+
+// Blocks shared by several tree types
+const BST_SEARCH = {
+    lines: [
+        'search(node, x):',
+        '  if node == null: return null',
+        '  if x == node.value:',
+        '    return node',
+        '  if x < node.value: return search(node.left, x)',
+        '  return search(node.right, x)'
+    ],
+    steps: { visit: 2, found: 3 }
+};
+
+// Order statistics over subtree sizes (SearchTreeBase)
+const BST_KTH_SMALLEST = {
+    lines: [
+        'kthSmallest(k):',
+        '  node = root',
+        '  while node != null:',
+        '    l = size(node.left)',
+        '    if k == l + 1: return node',
+        '    if k <= l: node = node.left',
+        '    else: k = k - (l + 1); node = node.right',
+        '  return null'
+    ],
+    steps: {
+        visit: (step) => (step.data.direction === 'left' ? 5 : 6),
+        found: 4
+    }
+};
+
+const BST_RANK = {
+    lines: [
+        'rank(x):  // values <= x',
+        '  r = 0; node = root',
+        '  while node != null:',
+        '    if x < node.value: node = node.left',
+        '    else:',
+        '      r = r + size(node.left) + 1',
+        '      if x == node.value: return r',
+        '      node = node.right',
+        '  return r'
+    ],
+    steps: {
+        visit: (step) => (step.data.direction === 'left' ? 3 : 5),
+        found: 6
+    }
+};
+
+/**
+ * Build the floor / ceiling / predecessor / successor pseudocode (SearchTreeBase._findNearest)
+ * @param {boolean} below - Largest value below x (floor / predecessor)
+ * @param {boolean} strict - x itself does not count (predecessor / successor)
+ * @returns {{lines: string[], steps: Object}}
+ */
+function nearestPseudocode(below, strict) {
+    const name = below ? (strict ? 'predecessor' : 'floor') : (strict ? 'successor' : 'ceiling');
+    const [toward, away] = below ? ['right', 'left'] : ['left', 'right'];
+    const sign = below ? '<' : '>';
+
+    if (strict) {
+        return {
+            lines: [
+                `${name}(x):`,
+                '  best = null; node = root',
+                '  while node != null:',
+                `    if node.value ${sign} x: best = node; node = node.${toward}`,
+                `    else: node = node.${away}`,
+                '  return best'
+            ],
+            steps: {
+                visit: (step) => (step.data.candidate ? 3 : 4),
+                found: 5
+            }
+        };
+    }
+
+    return {
+        lines: [
+            `${name}(x):`,
+            '  best = null; node = root',
+            '  while node != null:',
+            '    if x == node.value: return node',
+            `    if x ${sign} node.value: node = node.${away}`,
+            `    else: best = node; node = node.${toward}`,
+            '  return best'
+        ],
+        steps: {
+            visit: (step) => (step.data.candidate ? 5 : 4),
+            found: (step) => (step.data.exact ? 3 : 6)
+        }
+    };
+}
+
+const BST_NEAREST = {
+    floor: nearestPseudocode(true, false),
+    ceiling: nearestPseudocode(false, false),
+    predecessor: nearestPseudocode(true, true),
+    successor: nearestPseudocode(false, true)
+};
+
+const BST_RANGE_SEARCH = {
+    lines: [
+        'rangeSearch(node, lo, hi):',
+        '  if node == null: return',
+        '  if lo < node.value: rangeSearch(node.left, lo, hi)',
+        '  if lo <= node.value <= hi: output(node)',
+        '  if node.value < hi: rangeSearch(node.right, lo, hi)'
+    ],
+    steps: { visit: 2, found: 3 }
+};
+
+const BST_DELETE_LINES = [
+    'delete(node, x):',
+    '  if node == null: return null',
+    '  if x < node.value: node.left = delete(node.left, x)',
+    '  else if x > node.value: node.right = delete(node.right, x)',
+    '  else:',
+    '    if node has at most one child: return that child',
+    '    s = min(node.right)',
+    '    node.value = s.value',
+    '    node.right = delete(node.right, s.value)',
+    '  return node'
+];
+
+const BTREE_SEARCH = {
+    lines: [
+        'search(node, x):',
+        '  i = 0',
+        '  while i < node.n and x > node.keys[i]: i = i + 1',
+        '  if i < node.n and x == node.keys[i]: return (node, i)',
+        '  if node is leaf: return null',
+        '  return search(node.children[i], x)'
+    ],
+    steps: { compare: 2, found: 3 }
+};
+
+const SEGMENT_RANGE_UPDATE = {
+    lines: [
+        'rangeUpdate(node, l, r, tag):  // tag: += v or = v',
+        '  if node.end < l or node.start > r: return  // outside',
+        '  if l <= node.start and node.end <= r:',
+        '    apply tag to node.value; node.lazy = tag; return',
+        '  pushDown(node)',
+        '  rangeUpdate(node.left, l, r, tag); rangeUpdate(node.right, l, r, tag)',
+        '  node.value = combine(node.left.value, node.right.value)'
+    ],
+    steps: { skipped: 1, lazyTag: 3, pushDown: 4, partial: 5, update_internal: 6 }
+};
+
+// Fenwick walks shared by every operation, appended after the operation's own lines
+const FENWICK_ADD = [
+    'add(tree, i, delta):',
+    '  while i <= n:',
+    '    tree[i] = tree[i] + delta',
+    '    i = i + (i & -i)  // climb to the next covering index'
+];
+
+const FENWICK_SUM = [
+    'sum(tree, i):',
+    '  s = 0',
+    '  while i > 0:',
+    '    s = s + tree[i]',
+    '    i = i - (i & -i)  // drop the lowest set bit',
+    '  return s'
+];
+
+// Trie searches; a plain Trie edge is one character, a radix edge a run of them
+const TRIE_PATTERN_SEARCH = {
+    lines: [
+        'match(node, i):',
+        '  if i == pattern.length: report node if node.isEndOfWord; return',
+        "  if pattern[i] == '*':",
+        "    for child c of node: match(c, i)  // '*' takes one more character",
+        "    match(node, i + 1)  // '*' matches nothing",
+        '  else:',
+        '    for child c of node:',
+        "      if pattern[i] == '?' or c.char == pattern[i]: match(c, i + 1)",
+        '      else: prune c  // no word below c can match'
+    ],
+    steps: {
+        visit: (step) => {
+            if (step.data.symbol === undefined) return 1;
+            return step.data.symbol === '*' ? 2 : 6;
+        },
+        found: 1,
+        prune: (step) => (step.data.symbol === undefined ? 1 : 8)
+    }
+};
+
+const TRIE_FUZZY_SEARCH = {
+    lines: [
+        'fuzzySearch(word, k):',
+        '  row = [0, 1, ..., m]  // distances from the empty prefix',
+        '  for child c of root: walk(c, row)',
+        'walk(node, prev):',
+        '  for ch in node.label:  // a single character in a plain Trie',
+        '    row[0] = prev[0] + 1; row[j] = min(row[j - 1] + 1, prev[j] + 1, prev[j - 1] + (word[j - 1] != ch)); prev = row',
+        '  if min(row) > k: return  // rows never shrink: prune the branch',
+        '  if node.isEndOfWord and row[m] <= k: report node',
+        '  for child c of node: walk(c, row)'
+    ],
+    steps: {
+        visit: (step, index) => (index === 0 ? 1 : 5),
+        prune: 6,
+        found: 7
+    }
+};
+
+/**
+ * Heap sort steps: true once the first root has moved to the sorted tail
+ * (sift-downs before that belong to buildHeap)
+ */
+function afterFirstExtract(index, steps) {
+    return steps.slice(0, index).some(step => step.action === 'sortExtract');
+}
+
+/**
+ * Binary heap pseudocode for a priority order
+ * @param {string} order - 'min' (parent <= children) or 'max' (parent >= children)
+ * @returns {Object} insert / delete / decreaseKey / deleteAt / buildHeap / heapSort / search entries
+ */
+function heapPseudocode(order) {
+    const isMin = order === 'min';
+    const pick = `    c = ${isMin ? 'smallest' : 'largest'} of A[i], A[2i + 1], A[2i + 2]`;
+
+    return {
+        insert: {
+            lines: [
+                'insert(x):',
+                '  A.push(x); i = A.length - 1',
+                '  while i > 0:',
+                '    p = (i - 1) / 2',
+                `    if A[i] ${isMin ? '>=' : '<='} A[p]: break`,
+                '    swap(A[i], A[p]); i = p'
+            ],
+            steps: { compare: 4, swap: 5 }
+        },
+        delete: {
+            lines: [
+                `extract${isMin ? 'Min' : 'Max'}():`,
+                `  ${order} = A[0]; A[0] = A.pop()`,
+                '  i = 0',
+                '  loop:',
+                pick,
+                '    if c == i: break',
+                '    swap(A[i], A[c]); i = c',
+                `  return ${order}`
+            ],
+            steps: { compare: 4, swap: 6 }
+        },
+        decreaseKey: {
+            lines: [
+                `decreaseKey(x, y):  // y ${isMin ? '<=' : '>='} x, moves toward the root`,
+                '  i = index of x; A[i] = y',
+                '  while i > 0:',
+                '    p = (i - 1) / 2',
+                `    if A[i] ${isMin ? '>=' : '<='} A[p]: break`,
+                '    swap(A[i], A[p]); i = p'
+            ],
+            steps: { update: 1, compare: 4, swap: 5 }
+        },
+        deleteAt: {
+            lines: [
+                'deleteAt(x):',
+                '  i = index of x',
+                '  A[i] = A.pop()  // last element fills the hole',
+                '  if A[i] beats its parent: siftUp(i) else: siftDown(i)'
+            ],
+            steps: { delete: 2, compare: 3, swap: 3 }
+        },
+        buildHeap: {
+            lines: [
+                'buildHeap(values):',
+                '  A = values',
+                '  for i = n / 2 - 1 down to 0:  // leaves are already heaps',
+                '    siftDown(i)',
+                'siftDown(i):',
+                pick.slice(2),
+                '  if c != i: swap(A[i], A[c]); siftDown(c)',
+                '// node at height h moves at most h levels: sum of heights <= n, O(n)'
+            ],
+            steps: { visit: 3, compare: 5, swap: 6 }
+        },
+        heapSort: {
+            lines: [
+                'heapSort(A):',
+                '  buildHeap(A)',
+                '  for end = n - 1 down to 1:',
+                '    swap(A[0], A[end])  // root joins the sorted tail',
+                '    siftDown(0) within A[0 .. end - 1]',
+                `  // A is sorted ${isMin ? 'descending' : 'ascending'}`
+            ],
+            steps: {
+                visit: 1,
+                compare: (step, index, steps) => (afterFirstExtract(index, steps) ? 4 : 1),
+                swap: (step, index, steps) => (afterFirstExtract(index, steps) ? 4 : 1),
+                sortExtract: 3,
+                sortDone: 5
+            }
+        },
+        search: {
+            lines: [
+                'search(x):',
+                '  for i = 0 .. n - 1:',
+                '    if A[i] == x: return i',
+                '  return -1'
+            ],
+            steps: { found: 2 }
+        }
+    };
+}
+
+/**
+ * Pseudocode per tree type and operation
+ * lines: pseudocode lines
+ * steps: step action -> line index, or (step, index, steps) => line index
+ *        when the line depends on the step (e.g. single vs double rotation)
+ */
+const PSEUDOCODE = {
+    bst: {
+        insert: {
+            lines: [
+                'insert(node, x):',
+                '  if node == null:',
+                '    return new Node(x)',
+                '  if x < node.value:',
+                '    node.left = insert(node.left, x)',
+                '  else if x > node.value:',
+                '    node.right = insert(node.right, x)',
+                '  return node'
+            ],
+            steps: {
+                insert: 2,
+                compare: (step) => compareLine(step, [3, 5, 3])
+            }
+        },
+        delete: {
+            lines: BST_DELETE_LINES,
+            steps: { compare: (step) => compareLine(step, [2, 3, 4]), delete: 5, highlight: 6, replace: 7 }
+        },
+        search: BST_SEARCH,
+        kthSmallest: BST_KTH_SMALLEST,
+        rank: BST_RANK,
+        ...BST_NEAREST,
+        rangeSearch: BST_RANGE_SEARCH,
+        balance: {
+            lines: [
+                'balance():',
+                '  nodes = inorder(root)',
+                '  root = build(nodes, 0, n - 1)',
+                'build(nodes, l, r):',
+                '  if l > r: return null',
+                '  m = (l + r) / 2',
+                '  nodes[m].left = build(nodes, l, m - 1)',
+                '  nodes[m].right = build(nodes, m + 1, r)',
+                '  return nodes[m]'
+            ],
+            steps: { root_change: 2 }
+        }
+    },
+    avl: {
+        insert: {
+            lines: [
+                'insert(node, x):',
+                '  if node == null: return new Node(x)',
+                '  if x < node.value: node.left = insert(node.left, x)',
+                '  else if x > node.value: node.right = insert(node.right, x)',
+                '  else: return node',
+                '  updateHeight(node)',
+                '  b = height(node.left) - height(node.right)',
+                '  if b > 1 and x < node.left.value: return rotateRight(node)',
+                '  if b < -1 and x > node.right.value: return rotateLeft(node)',
+                '  if b > 1: node.left = rotateLeft(node.left); return rotateRight(node)',
+                '  if b < -1: node.right = rotateRight(node.right); return rotateLeft(node)',
+                '  return node'
+            ],
+            steps: {
+                insert: 1,
+                compare: (step) => compareLine(step, [2, 3, 4]),
+                checkBalance: 6,
+                rotation: (step, index, steps) => {
+                    if (isDoubleRotation(steps, index)) {
+                        const isRight = step.data.type === 'right';
+                        const isFirst = !steps[index - 1] || steps[index - 1].action !== 'rotation';
+                        return (isRight === isFirst) ? 10 : 9;
+                    }
+                    return step.data.type === 'right' ? 7 : 8;
+                }
+            }
+        },
+        delete: {
+            lines: [
+                ...BST_DELETE_LINES.slice(0, -1),
+                '  updateHeight(node); b = balance(node)',
+                '  if b > 1: rotate right (left-right: rotate left child first)',
+                '  if b < -1: rotate left (right-left: rotate right child first)',
+                '  return node'
+            ],
+            steps: {
+                compare: (step) => compareLine(step, [2, 3, 4]),
+                delete: 5,
+                highlight: 6,
+                replace: 7,
+                checkBalance: 9,
+                rotation: (step, index, steps) => {
+                    if (isDoubleRotation(steps, index)) {
+                        const isFirst = !steps[index - 1] || steps[index - 1].action !== 'rotation';
+                        return (step.data.type === 'left') === isFirst ? 10 : 11;
+                    }
+                    return step.data.type === 'right' ? 10 : 11;
+                }
+            }
+        },
+        search: BST_SEARCH,
+        kthSmallest: BST_KTH_SMALLEST,
+        rank: BST_RANK,
+        ...BST_NEAREST,
+        rangeSearch: BST_RANGE_SEARCH
+    },
+    redblack: {
+        insert: {
+            lines: [
+                'insert(h, x):',
+                '  if h == null: return new Node(x, RED)',
+                '  if x < h.value: h.left = insert(h.left, x)',
+                '  else if x > h.value: h.right = insert(h.right, x)',
+                '  if isRed(h.right) and not isRed(h.left): h = rotateLeft(h)',
+                '  if isRed(h.left) and isRed(h.left.left): h = rotateRight(h)',
+                '  if isRed(h.left) and isRed(h.right): flipColors(h)',
+                '  return h',
+                '// after insert: root.color = BLACK'
+            ],
+            steps: {
+                insert: 1,
+                compare: (step) => compareLine(step, [2, 3, 3]),
+                rotation: (step) => (step.data.type === 'left' ? 4 : 5),
+                colorFlip: 6
+            }
+        },
+        delete: {
+            lines: [
+                'delete(h, x):',
+                '  if x < h.value:',
+                '    if not isRed(h.left) and not isRed(h.left.left): h = moveRedLeft(h)',
+                '    h.left = delete(h.left, x)',
+                '  else:',
+                '    if isRed(h.left): h = rotateRight(h)',
+                '    if x == h.value and h.right == null: return null',
+                '    if not isRed(h.right) and not isRed(h.right.left): h = moveRedRight(h)',
+                '    if x == h.value:',
+                '      s = min(h.right); h.value = s.value',
+                '      h.right = deleteMin(h.right)',
+                '    else: h.right = delete(h.right, x)',
+                '  return balance(h)  // rotateLeft, rotateRight, flipColors'
+            ],
+            steps: {
+                compare: (step) => compareLine(step, [1, 4, 4]),
+                moveRedLeft: 2,
+                moveRedRight: 7,
+                rotation: redBlackDeleteFixLine,
+                colorFlip: redBlackDeleteFixLine,
+                delete: (step) => {
+                    if (step.data.fromMin) return 10;
+                    const node = (step.snapshot && step.snapshot.nodeMap.get(step.data.node)) || step.data.node;
+                    return node.right === null ? 6 : 8;
+                },
+                highlight: 9,
+                replace: 9
+            }
+        },
+        search: BST_SEARCH,
+        kthSmallest: BST_KTH_SMALLEST,
+        rank: BST_RANK,
+        ...BST_NEAREST,
+        rangeSearch: BST_RANGE_SEARCH
+    },
+    heap: heapPseudocode('min'),
+    'max-heap': heapPseudocode('max'),
+    trie: {
+        insert: {
+            lines: [
+                'insert(word):',
+                '  node = root',
+                '  for ch in word:',
+                '    if ch not in node.children:',
+                '      node.children[ch] = new TrieNode(ch)',
+                '    node = node.children[ch]',
+                '  node.isEndOfWord = true'
+            ],
+            steps: { visit: 3, insert: 4, markEnd: 6 }
+        },
+        delete: {
+            lines: [
+                'delete(node, word, i):',
+                '  if i == word.length:',
+                '    node.isEndOfWord = false',
+                '    return node has no children',
+                '  child = node.children[word[i]]',
+                '  if delete(child, word, i + 1):',
+                '    remove word[i] from node.children',
+                '    return node has no children and not node.isEndOfWord',
+                '  return false'
+            ],
+            steps: {}
+        },
+        search: {
+            lines: [
+                'search(word):',
+                '  node = root',
+                '  for ch in word:',
+                '    if ch not in node.children: return false',
+                '    node = node.children[ch]',
+                '  return node.isEndOfWord'
+            ],
+            steps: { visit: 3, found: 5 }
+        },
+        patternSearch: TRIE_PATTERN_SEARCH,
+        fuzzySearch: TRIE_FUZZY_SEARCH
+    },
+    radix: {
+        insert: {
+            lines: [
+                'insert(word):',
+                '  node = root; rest = word',
+                '  while rest is not empty:',
+                '    child = node.children[rest[0]]',
+                '    if child == null: node.children[rest[0]] = new leaf(rest); return',
+                '    k = common prefix length of child.label and rest',
+                '    if k < child.label.length: split child into label[0..k) -> label[k..]',
+                '    node = child; rest = rest[k..]',
+                '  node.isEndOfWord = true'
+            ],
+            steps: { visit: 3, insert: 4, split: 6, markEnd: 8 }
+        },
+        delete: {
+            lines: [
+                'delete(word):',
+                '  node = node where word ends; node.isEndOfWord = false',
+                '  if node has no children: remove node; node = its parent',
+                '  if node != root and not node.isEndOfWord and node has one child c:',
+                '    c.label = node.label + c.label  // merge the chain back into one edge',
+                '    replace node with c'
+            ],
+            steps: { delete: (step) => (step.data.removedLeaf ? 2 : 1), merge: 4 }
+        },
+        search: {
+            lines: [
+                'search(word):',
+                '  node = root; rest = word',
+                '  while rest is not empty:',
+                '    child = node.children[rest[0]]',
+                '    if child == null or rest does not start with child.label: return false',
+                '    node = child; rest = rest[child.label.length..]',
+                '  return node.isEndOfWord'
+            ],
+            steps: { visit: 3, found: 6 }
+        },
+        patternSearch: TRIE_PATTERN_SEARCH,
+        fuzzySearch: TRIE_FUZZY_SEARCH
+    },
+    btree: {
+        insert: {
+            lines: [
+                'insert(x):',
+                '  if root == null: root = new leaf [x]; return',
+                '  node = root',
+                '  while node is not leaf:',
+                '    node = node.children[number of keys <= x]',
+                '  put x into node.keys in order',
+                '  while node.n == m:  // overflow',
+                '    split node, move its middle key up to the parent',
+                '    node = parent  // a split root gets a new root above it'
+            ],
+            steps: {
+                insert_root: 1,
+                compare: (step) => (step.data.node.isLeaf ? 5 : 4),
+                insert_leaf: 5,
+                split: 7
+            }
+        },
+        delete: {
+            lines: [
+                'delete(node, x):',
+                '  i = index of the first key >= x',
+                '  if i < node.n and x == node.keys[i]:',
+                '    if node is leaf: remove node.keys[i]; return',
+                '    keys[i] = predecessor (last key under children[i]); x = keys[i]',
+                '  delete(node.children[i], x)',
+                '  if node.children[i].n < t - 1:',
+                '    if a sibling has more: borrow a key through the parent',
+                '    else: merge children[i], the key between them and the sibling',
+                '// after delete: if root has no keys, root = root.children[0]'
+            ],
+            steps: {
+                compare: 1,
+                delete: (step) => (step.data.node.isLeaf ? 3 : 2),
+                replace: 4,
+                borrow: 7,
+                merge: 8,
+                root_change: 9
+            }
+        },
+        search: BTREE_SEARCH
+    },
+    bplus: {
+        insert: {
+            lines: [
+                'insert(x):',
+                '  if root == null: root = new leaf [x]; return',
+                '  node = root',
+                '  while node is not leaf:',
+                '    node = node.children[number of separators <= x]',
+                '  if x in node.keys: return  // keys are unique',
+                '  put x into node.keys in order',
+                '  while node.n == m:  // overflow',
+                '    split node  // leaf: copy first key of right half up, internal: move middle key up',
+                '    node = parent  // a split root gets a new root above it'
+            ],
+            steps: { insert_root: 1, compare: 4, insert_leaf: 6, split: 8 }
+        },
+        delete: {
+            lines: [
+                'delete(node, x):',
+                '  if node is leaf: remove x from node.keys; return',
+                '  i = number of separators <= x',
+                '  delete(node.children[i], x)',
+                '  if node.children[i].n < t - 1:',
+                '    if a sibling has > t - 1 keys: borrow one, update the separator',
+                '    else: merge with a sibling  // leaf: relink next, drop separator',
+                '// after delete:',
+                '//   if root has no keys: root = root.children[0]',
+                '//   separator == x: replace with first key of its right subtree'
+            ],
+            steps: { delete: 1, compare: 2, borrow: 5, merge: 6, root_change: 8, separator: 9 }
+        },
+        search: {
+            lines: [
+                'search(node, x):',
+                '  i = 0',
+                '  while i < node.n and x > node.keys[i]: i = i + 1',
+                '  if node is leaf:',
+                '    return x == node.keys[i] ? (node, i) : null',
+                '  if x == node.keys[i]: i = i + 1  // separators go right',
+                '  return search(node.children[i], x)'
+            ],
+            steps: { compare: 2, found: 4 }
+        },
+        rangeScan: {
+            lines: [
+                'rangeScan(lo, hi):',
+                '  node = root',
+                '  while node is not leaf:',
+                '    node = node.children[number of separators <= lo]',
+                '  while node != null:',
+                '    for k in node.keys:',
+                '      if k > hi: return result',
+                '      if k >= lo: result.add(k)',
+                '    node = node.next  // no walk back up to the root',
+                '  return result'
+            ],
+            steps: {
+                visit: 3,
+                scan: (step) => {
+                    const leaf = (step.snapshot && step.snapshot.nodeMap.get(step.data.node)) || step.data.node;
+                    if (step.data.stopped) return 6;
+                    return leaf.next ? 8 : 9;
+                }
+            }
+        }
+    },
+    segment: {
+        insert: {
+            lines: [
+                'append(x):',
+                '  data.push(x)',
+                '  root = build(0, n - 1)',
+                'build(l, r):',
+                '  if l == r: return leaf(data[l])',
+                '  m = (l + r) / 2',
+                '  node.left = build(l, m); node.right = build(m + 1, r)',
+                '  node.value = combine(node.left.value, node.right.value)'
+            ],
+            steps: { insert: 1 }
+        },
+        query: {
+            lines: [
+                'query(node, l, r):',
+                '  if node.end < l or node.start > r: return identity  // outside',
+                '  if l <= node.start and node.end <= r: return node.value  // covered',
+                '  pushDown(node)  // lazy mode: pending tag goes to the children',
+                '  return combine(query(node.left, l, r), query(node.right, l, r))  // partial'
+            ],
+            steps: { skipped: 1, covered: 2, pushDown: 3, partial: 4 }
+        },
+        rangeAdd: SEGMENT_RANGE_UPDATE,
+        rangeAssign: SEGMENT_RANGE_UPDATE,
+        update: {
+            lines: [
+                'update(node, i, x):',
+                '  if node is leaf: node.value = x; return',
+                '  pushDown(node)  // lazy mode only',
+                '  m = (node.start + node.end) / 2',
+                '  if i <= m: update(node.left, i, x) else: update(node.right, i, x)',
+                '  node.value = combine(node.left.value, node.right.value)'
+            ],
+            steps: { update: 1, pushDown: 2, update_internal: 5 }
+        },
+        search: {
+            lines: [
+                'search(node, x):',
+                '  if node is leaf: return node.value == x ? node : null',
+                '  return search(node.left, x) or search(node.right, x)'
+            ],
+            steps: { found: 1 }
+        }
+    },
+    fenwick: {
+        insert: {
+            lines: [
+                'append(x):',
+                '  data.push(x); n = n + 1',
+                '  d = x  // range modes: d = x - data[n - 1]',
+                '  tree[n] = d + sum(tree, n - 1) - sum(tree, n - (n & -n))  // covers (n - lowbit(n), n]'
+            ],
+            steps: { insert: 3 }
+        },
+        pointAdd: {
+            lines: [
+                'pointAdd(i, delta):',
+                '  add(tree, i, delta)',
+                ...FENWICK_ADD
+            ],
+            steps: { bitUpdate: 4 }
+        },
+        pointSet: {
+            lines: [
+                'pointSet(i, x):',
+                '  add(tree, i, x - data[i])',
+                ...FENWICK_ADD
+            ],
+            steps: { bitUpdate: 4 }
+        },
+        rangeAdd: {
+            lines: [
+                'rangeAdd(l, r, x):  // tree stores d[i] = a[i] - a[i - 1]',
+                '  add(B1, l, x); add(B1, r + 1, -x)',
+                '  two BIT mode: add(B2, l, x * (l - 1)); add(B2, r + 1, -x * r)',
+                ...FENWICK_ADD
+            ],
+            steps: { bitUpdate: (step) => (step.data.bit === 'B2' ? 2 : 1) }
+        },
+        prefixQuery: {
+            lines: [
+                'prefixQuery(i):',
+                '  point mode: return sum(tree, i)',
+                '  two BIT mode: return sum(B1, i) * i - sum(B2, i)',
+                ...FENWICK_SUM
+            ],
+            steps: { bitQuery: 6, bitResult: 2 }
+        },
+        rangeQuery: {
+            lines: [
+                'rangeQuery(l, r):',
+                '  return prefixQuery(r) - prefixQuery(l - 1)',
+                ...FENWICK_SUM
+            ],
+            steps: { bitQuery: 5, bitResult: 1 }
+        },
+        pointQuery: {
+            lines: [
+                'pointQuery(i):  // tree stores d[i] = a[i] - a[i - 1]',
+                '  return sum(tree, i)  // a[i] = d[1] + ... + d[i]',
+                ...FENWICK_SUM
+            ],
+            steps: { bitQuery: 5 }
+        },
+        search: {
+            lines: [
+                'search(x):',
+                '  for i = 1 .. n:',
+                '    if data[i - 1] == x: return node(i)',
+                '  return null'
+            ],
+            steps: { found: 2 }
+        }
+    }
+};
+
+class PseudocodePanel {
+    /**
+     * @param {string} titleId - Element showing the operation title
+     * @param {string} listId - <ol> element that holds the lines
+     * @param {AnimationPlayer} player
+     */
+    constructor(titleId, listId, player) {
+        this.title = document.getElementById(titleId);
+        this.list = document.getElementById(listId);
+        if (!this.title || !this.list) {
+            throw new Error(`Pseudocode elements '${titleId}' / '${listId}' not found`);
+        }
+
+        this.player = player;
+        this.code = null;
+
+        eventBus.on(EVENTS.ANIMATION_STEP, ({ step, index }) => {
+            this.highlightStep(step, index, this.player.steps);
+        });
+        eventBus.on(EVENTS.ANIMATION_COMPLETE, () => this.highlightLine(-1));
+    }
+
+    /**
+     * Show pseudocode of an operation
+     * @param {string} treeType - Tree type id (e.g. 'avl')
+     * @param {string} operation - 'insert', 'delete', 'search', ...
+     */
+    setOperation(treeType, operation) {
+        const forTree = PSEUDOCODE[treeType] || {};
+        this.code = forTree[operation] || null;
+
+        this.title.textContent = `${operation}()`;
+        this.list.innerHTML = '';
+
+        if (!this.code) {
+            const item = document.createElement('li');
+            item.className = 'pseudocode-empty';
+            item.textContent = 'Bu işlem için sözde kod bulunmuyor.';
+            this.list.appendChild(item);
+            return;
+        }
+
+        this.code.lines.forEach(line => {
+            const item = document.createElement('li');
+            item.textContent = line;
+            this.list.appendChild(item);
+        });
+    }
+
+    /**
+     * Highlight the line mapped to a step
+     * @param {Object} step
+     * @param {number} index - Index of the step in steps
+     * @param {Array} steps - All steps of the operation
+     */
+    highlightStep(step, index, steps) {
+        if (!this.code) return;
+
+        const mapping = this.code.steps[step.action];
+        const line = typeof mapping === 'function' ? mapping(step, index, steps) : mapping;
+
+        this.highlightLine(line === undefined ? -1 : line);
+    }
+
+    /**
+     * Highlight a single line (-1 clears the highlight)
+     * @param {number} lineIndex
+     */
+    highlightLine(lineIndex) {
+        Array.from(this.list.children).forEach((item, index) => {
+            item.classList.toggle('active', index === lineIndex);
+        });
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.PseudocodePanel = PseudocodePanel;
+    window.PSEUDOCODE = PSEUDOCODE;
+}
@@ -0,0 +1,208 @@
+/**
+ * TreeLab - StepNarrator
+ *
+ * Purpose: Turns recorded animation steps into human-readable (Turkish) captions
+ * Uses the step's own `description` when the tree provides one and generates
+ * a caption from the step data otherwise
+ */
+
+class StepNarrator {
+    /**
+     * Build a caption for a step
+     * @param {Object} step - Step from TreeBase.getAnimationSteps()
+     * @returns {string}
+     */
+    static describe(step) {
+        const data = step.data || {};
+        const label = (node) => StepNarrator.nodeLabel(step, node);
+
+        if (data.description) {
+            // Rotations, color flips and red link moves only say what happened, add where it happened
+            const target = data.pivot || (StepNarrator.NODE_DESCRIPTIONS.includes(step.action) ? data.node : null);
+            return target ? `${data.description} (${label(target)})` : data.description;
+        }
+
+        return StepNarrator._generate(step.action, data, label, (node) => StepNarrator._atStep(step, node));
+    }
+
+    /**
+     * Get a short label for a node as it was when the step was recorded
+     * @param {Object} step
+     * @param {Object} node
+     * @returns {string}
+     */
+    static nodeLabel(step, node) {
+        if (!node) return '?';
+
+        const target = StepNarrator._atStep(step, node);
+
+        if (Array.isArray(target.keys)) return `[${target.keys.join(', ')}]`;
+        if (target.char !== undefined) return `'${target.char}'`;
+        if (target.rangeText) return target.rangeText;
+        return String(target.value);
+    }
+
+    /**
+     * Resolve a node to its copy in the step's snapshot (falls back to the live node)
+     * @private
+     */
+    static _atStep(step, node) {
+        const snapshotNode = step.snapshot ? step.snapshot.nodeMap.get(node) : null;
+        return snapshotNode || node;
+    }
+
+    /**
+     * Generate a caption from step data
+     * @private
+     */
+    static _generate(action, data, label, at) {
+        switch (action) {
+            case 'compare':
+                if (data.node && Array.isArray(data.node.keys)) {
+                    const key = at(data.node).keys[data.index];
+                    if (data.value === key) {
+                        return `${data.value} = ${key}: B+ ayırıcısına eşit, sağ tarafa geçiliyor`;
+                    }
+                    return `${data.value} > ${key}, sonraki anahtara geçiliyor`;
+                }
+                if (data.node) {
+                    const nodeValue = at(data.node).value;
+                    if (data.value === nodeValue) {
+                        return `${data.value} ile ${label(data.node)} karşılaştırılıyor: eşit, düğüm bulundu`;
+                    }
+                    const direction = data.value < nodeValue ? 'küçük, sola' : 'büyük, sağa';
+                    return `${data.value} ile ${label(data.node)} karşılaştırılıyor: ${direction} gidiliyor`;
+                }
+                return `${data.index}. ve ${data.parentIndex}. indeksler karşılaştırılıyor`;
+
+            case 'visit':
+                return `${label(data.node)} düğümü ziyaret ediliyor`;
+
+            case 'found':
+                return `${data.value !== undefined ? data.value : label(data.node)} bulundu`;
+
+            case 'insert':
+                if (data.node) return `${label(data.node)} yeni düğüm olarak eklendi`;
+                return `${data.value} değeri ${data.index}. konuma eklendi`;
+
+            case 'insert_root':
+                return `Ağaç boş: ${data.value} kök düğüme yazıldı`;
+
+            case 'insert_leaf':
+                return `${data.value} yaprak düğüme sıralı olarak yerleştirildi`;
+
+            case 'delete':
+                if (Array.isArray(data.node.keys)) {
+                    return `${data.value} anahtarı ${label(data.node)} düğümünden siliniyor`;
+                }
+                return `${label(data.node)} siliniyor`;
+
+            case 'highlight':
+                return data.reason === 'successor'
+                    ? `Inorder successor bulundu: ${label(data.node)}`
+                    : `${label(data.node)} vurgulanıyor`;
+
+            case 'replace':
+                if (data.source) {
+                    const source = data.type === 'predecessor' ? 'predecessor' : 'successor';
+                    return `Silinen anahtarın yerine ${source} ${data.value} yazıldı, ${label(data.source)} yaprağından silinecek`;
+                }
+                return `Silinen düğümün yerine successor ${data.successor.value} yazıldı`;
+
+            case 'borrow':
+                return `${label(data.node)} düğümünde anahtar az: ${data.direction === 'left' ? 'sol' : 'sağ'} kardeş ` +
+                       `${label(data.sibling)} düğümünden ${label(data.parent)} üzerinden anahtar ödünç alınıyor`;
+
+            case 'merge':
+                // B+ leaves keep every key, so the separator is only dropped from the parent
+                if (data.node.isLeaf && data.node.next !== undefined) {
+                    return `${label(data.node)} ve ${label(data.sibling)} yaprakları birleştiriliyor, ` +
+                           `${data.value} ayırıcısı üst düğümden kaldırılıyor`;
+                }
+                return `${label(data.node)} ve ${label(data.sibling)} kardeşleri, ${data.value} ayırıcı anahtarıyla birleştiriliyor`;
+
+            case 'checkBalance':
+                return `${label(data.node)} için denge faktörü: ${data.balance}`;
+
+            case 'rotation':
+                return `${data.type === 'left' ? 'Sola' : 'Sağa'} rotasyon (${label(data.pivot)})`;
+
+            case 'colorFlip':
+                return `${label(data.node)} ve çocuklarının renkleri değiştiriliyor`;
+
+            case 'split':
+                return `Taşan düğüm bölündü: ${label(data.child)} ve ${label(data.newChild)}, ` +
+                       `ayırıcı anahtar üst düğüme (${label(data.parent)}) taşındı`;
+
+            case 'separator':
+                return `${label(data.node)} düğümündeki ayırıcı ${data.oldValue}, sağ alt ağacın ilk anahtarı ${data.value} ile değiştirildi`;
+
+            case 'covered':
+                return `${label(data.node)} tamamen [${data.l}-${data.r}] içinde: saklanan değer ${data.value} doğrudan kullanılıyor`;
+
+            case 'partial':
+                return `${label(data.node)} aralıkla kısmen örtüşüyor, iki çocuğa bölünüyor`;
+
+            case 'skipped':
+                return `${label(data.node)} aralığın dışında, atlanıyor`;
+
+            case 'lazyTag':
+                if (at(data.node).start === at(data.node).end) {
+                    return `${label(data.node)} yaprağı tamamen aralıkta: değer ${data.type === 'assign' ? '' : '+'}${data.value} ile güncellendi`;
+                }
+                return data.type === 'assign'
+                    ? `${label(data.node)} tamamen aralıkta: toplam yeniden hesaplandı, çocuklar için "=${data.value}" etiketi bırakıldı`
+                    : `${label(data.node)} tamamen aralıkta: değeri +${data.value} için güncellendi, çocuklar için "+${data.value}" etiketi bırakıldı`;
+
+            case 'pushDown': {
+                const tags = [];
+                if (data.assign !== null) tags.push(`=${data.assign}`);
+                if (data.add) tags.push(`+${data.add}`);
+                return `${label(data.node)} düğümündeki bekleyen etiket (${tags.join(', ')}) çocuklara aktarılıyor`;
+            }
+
+            case 'bitUpdate': {
+                const cell = `${data.bit}[${data.index}]`;
+                const next = data.done
+                    ? `${data.next} > n, dizinin dışında: güncelleme bitti`
+                    : `sonraki indeks ${data.index} + ${data.next - data.index} = ${data.next}`;
+                return `${cell} += ${data.delta} → ${data.value}; ${next}`;
+            }
+
+            case 'bitQuery': {
+                const next = data.next === 0
+                    ? '0\'a ulaşıldı, toplam hazır'
+                    : `sonraki indeks ${data.index} - ${data.index - data.next} = ${data.next}`;
+                return `Toplama ${data.bit}[${data.index}] = ${data.value} eklendi (toplam ${data.sum}); ${next}`;
+            }
+
+            case 'swap': {
+                const other = data.parentIndex !== undefined ? data.parentIndex : data.childIndex;
+                return `${data.index}. ve ${other}. indeksteki değerler yer değiştirdi`;
+            }
+
+            case 'markEnd':
+                return `${label(data.node)} kelime sonu olarak işaretlendi`;
+
+            case 'update':
+                return `${label(data.node)} yaprağı ${data.value} olarak güncellendi`;
+
+            case 'update_internal':
+                return `${label(data.node)} aralığının değeri çocuklardan yeniden hesaplandı: ${data.value}`;
+
+            case 'root_change':
+                return `Ağaç yeniden dengelendi, yeni kök: ${label(data.node)}`;
+
+            default:
+                return `Adım: ${action}`;
+        }
+    }
+}
+
+// Actions whose own description is completed with the node label
+StepNarrator.NODE_DESCRIPTIONS = ['colorFlip', 'moveRedLeft', 'moveRedRight'];
+
+// Export
+if (typeof window !== 'undefined') {
+    window.StepNarrator = StepNarrator;
+}
@@ -0,0 +1,144 @@
+/**
+ * TreeLab - StepTimeline
+ *
+ * Purpose: Scrubbable timeline of the current operation, one tick per
+ * recorded step, with a caption for the step on screen
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Renders timeline/caption only, playback stays in AnimationPlayer
+ * - Dependency Inversion: Follows the player through EventBus animation events
+ */
+
+class StepTimeline {
+    /**
+     * @param {string} trackId - Element that holds the ticks
+     * @param {string} captionId - Element that shows the step caption
+     * @param {AnimationPlayer} player
+     */
+    constructor(trackId, captionId, player) {
+        this.track = document.getElementById(trackId);
+        this.caption = document.getElementById(captionId);
+        if (!this.track || !this.caption) {
+            throw new Error(`Timeline elements '${trackId}' / '${captionId}' not found`);
+        }
+
+        this.player = player;
+        this.renderedSteps = null;
+        this.isScrubbing = false;
+
+        this._setupScrubbing();
+
+        [
+            EVENTS.ANIMATION_START,
+            EVENTS.ANIMATION_STEP,
+            EVENTS.ANIMATION_PAUSE,
+            EVENTS.ANIMATION_RESUME,
+            EVENTS.ANIMATION_COMPLETE
+        ].forEach(eventName => eventBus.on(eventName, () => this.update()));
+
+        this.update();
+    }
+
+    /**
+     * Sync ticks and caption with the player state
+     */
+    update() {
+        const steps = this.player.steps;
+
+        if (steps !== this.renderedSteps) {
+            this._renderTicks(steps);
+        }
+
+        const activeIndex = this.player.isAtEnd() ? steps.length : this.player.currentIndex;
+        Array.from(this.track.children).forEach((tick, index) => {
+            tick.classList.toggle('active', index === activeIndex);
+            tick.classList.toggle('past', index < activeIndex);
+        });
+
+        this.caption.textContent = this._getCaption(activeIndex);
+    }
+
+    /**
+     * Build one tick per step plus a final "result" tick
+     * @private
+     */
+    _renderTicks(steps) {
+        this.renderedSteps = steps;
+        this.track.innerHTML = '';
+
+        if (steps.length === 0) return;
+
+        steps.forEach((step, index) => {
+            this.track.appendChild(this._createTick(`${index + 1}. ${StepNarrator.describe(step)}`));
+        });
+        this.track.appendChild(this._createTick('Sonuç: işlem tamamlandı', true));
+    }
+
+    /**
+     * @private
+     */
+    _createTick(title, isFinal = false) {
+        const tick = document.createElement('div');
+        tick.className = isFinal ? 'timeline-tick final' : 'timeline-tick';
+        tick.title = title;
+        return tick;
+    }
+
+    /**
+     * Caption for the tick at index
+     * @private
+     */
+    _getCaption(index) {
+        const steps = this.player.steps;
+
+        if (steps.length === 0) {
+            return 'Bir işlem yapıldığında adımlar burada anlatılır.';
+        }
+        if (index >= steps.length) {
+            return `İşlem tamamlandı (${steps.length} adım). Son durum gösteriliyor.`;
+        }
+        if (index < 0) {
+            return '';
+        }
+
+        return `Adım ${index + 1}/${steps.length}: ${StepNarrator.describe(steps[index])}`;
+    }
+
+    /**
+     * Click or drag on the track to jump to a step
+     * @private
+     */
+    _setupScrubbing() {
+        const seek = (e) => {
+            const total = this.player.steps.length;
+            if (total === 0) return;
+
+            const rect = this.track.getBoundingClientRect();
+            const ratio = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 0.9999);
+            const index = Math.floor(ratio * (total + 1));
+
+            if (index !== this.player.currentIndex) {
+                this.player.pause();
+                this.player.goToStep(index);
+            }
+        };
+
+        this.track.addEventListener('pointerdown', (e) => {
+            this.isScrubbing = true;
+            this.track.setPointerCapture(e.pointerId);
+            seek(e);
+        });
+        this.track.addEventListener('pointermove', (e) => {
+            if (this.isScrubbing) seek(e);
+        });
+        this.track.addEventListener('pointerup', (e) => {
+            this.isScrubbing = false;
+            this.track.releasePointerCapture(e.pointerId);
+        });
+    }
+}
+
+// Export
+if (typeof window !== 'undefined') {
+    window.StepTimeline = StepTimeline;
+}
@@ -18,6 +18,22 @@ class TreeVisualizer {
         
         this.ctx = this.canvas.getContext('2d');
         this.tree = null;
+        this.activeStep = null; // Step currently shown by AnimationPlayer
+        this.showSubtreeSize = false; // Draw n:size under binary search tree nodes
+        
+        // Layout tweening state
+        this.animationSpeed = 1;
+        this.tweenDuration = 450; // ms at 1x speed
+        this.tweenFrame = null;
+        this.displayedLayout = new Map(); // node key -> { x, y, ghost } currently on screen
+        this.nodeKeys = new Map();        // node -> key for the current draw
+        this.nodeAlphas = null;           // node key -> opacity while tweening
+        this.layoutIds = new WeakMap();
+        this.nextLayoutId = 1;
+        
+        eventBus.on(EVENTS.ANIMATION_SPEED_CHANGED, ({ speed }) => {
+            if (speed > 0) this.animationSpeed = speed;
+        });
         
         // Styling configuration
         this.config = {
@@ -33,11 +49,13 @@ class TreeVisualizer {
                 nodeHighlight: '#4caf50',
                 nodeVisited: '#90caf9',
                 nodeCurrent: '#ff9800',
+                nodeMuted: '#bdbdbd',
                 nodeRed: '#e53935',
                 nodeBlack: '#212121',
                 text: '#ffffff',
                 textDark: '#212121',
-                edge: '#757575'
+                edge: '#757575',
+                leafLink: '#8e24aa'
             }
         };
         
@@ -52,6 +70,18 @@ class TreeVisualizer {
      */
     setTree(tree) {
         this.tree = tree;
+        this.activeStep = null;
+        this._cancelTween();
+        this.displayedLayout = new Map();
+        this.draw();
+    }
+
+    /**
+     * Show or hide subtree sizes (trees that keep TreeNode.size, see SearchTreeBase)
+     * @param {boolean} show
+     */
+    setShowSubtreeSize(show) {
+        this.showSubtreeSize = show;
         this.draw();
     }
 
@@ -133,35 +163,261 @@ class TreeVisualizer {
         }
     }
 
+    /**
+     * Calculate positions for multi-key trees (B-Tree / B+ Tree): leaves in key order
+     * with a gap for the B+ Tree leaf link arrows, internal nodes centered over their children
+     * @private
+     */
+    _calculateMultiKeyPositions(root, centerX, y) {
+        const gap = TreeVisualizer.LEAF_GAP;
+        let cursor = 0;
+
+        const place = (node, depth) => {
+            node.y = y + depth * this.config.verticalSpacing;
+
+            const children = Array.isArray(node.children) ? node.children.filter(Boolean) : [];
+            if (children.length === 0) {
+                const width = this._getMultiKeyWidth(node);
+                node.x = cursor + width / 2;
+                cursor += width + gap;
+                return;
+            }
+
+            children.forEach(child => place(child, depth + 1));
+            node.x = (children[0].x + children[children.length - 1].x) / 2;
+        };
+
+        place(root, 0);
+
+        // Center the row of leaves under the root position
+        const offset = centerX - (cursor - gap) / 2;
+        this._forEachNode(root, node => {
+            node.x += offset;
+        });
+    }
+
     /**
      * Draw the tree
      */
     draw() {
-        if (!this.tree || !this.tree.root) {
+        // While a step is on screen, keep showing its snapshot (e.g. on resize)
+        const root = this.activeStep && this.activeStep.snapshot
+            ? this.activeStep.snapshot.root
+            : (this.tree ? this.tree.root : null);
+
+        this._drawRoot(root);
+    }
+
+    /**
+     * Draw a tree starting from the given root
+     * @private
+     */
+    _drawRoot(root) {
+        if (!this.tree || !root) {
+            this._cancelTween();
+            this.displayedLayout = new Map();
             this._clearCanvas();
             this._drawEmptyState();
             return;
         }
         
-        // Clear canvas
-        this._clearCanvas();
-        
         // Calculate positions
         const canvasWidth = this.canvas.width / (window.devicePixelRatio || 1);
         const startX = canvasWidth / 2;
         const startY = 50;
         
         // Calculate spacing based on tree height
-        const height = this.tree.getHeight();
+        const height = this.tree._getHeight(root);
         const baseSpacing = Math.max(40, Math.min(120, canvasWidth / (Math.pow(2, height))));
         
-        this._calculatePositions(this.tree.root, startX, startY, baseSpacing);
+        // Multi-key nodes are wider than a circle, lay their leaves out side by side
+        if (Array.isArray(root.keys)) {
+            this._calculateMultiKeyPositions(root, startX, startY);
+        } else {
+            this._calculatePositions(root, startX, startY, baseSpacing);
+        }
+        
+        // Move nodes from where they are on screen to their new positions
+        const from = this.displayedLayout;
+        const to = this._captureLayout(root);
+        
+        this._cancelTween();
+        if (from.size === 0 || this._isSameLayout(from, to)) {
+            this.displayedLayout = to;
+            this._renderFrame(root, []);
+            return;
+        }
+        
+        this._startTween(root, from, to);
+    }
+
+    /**
+     * Render one frame: edges first (so nodes appear on top), then nodes
+     * @private
+     */
+    _renderFrame(root, ghosts) {
+        this._clearCanvas();
+        
+        this._drawEdges(root);
+        this._drawLeafLinks(root);
+        this._drawNodes(root);
+        
+        // Nodes that were removed, fading out at their old positions
+        ghosts.forEach(({ ghost, alpha }) => {
+            this.ctx.globalAlpha = alpha;
+            this._drawNode(ghost);
+        });
+        
+        this.ctx.globalAlpha = 1;
+    }
+
+    // ============================================
+    // Layout Tweening
+    // ============================================
+
+    /**
+     * Record target position of every node, keyed by a key that survives re-layouts
+     * @private
+     */
+    _captureLayout(root) {
+        const layout = new Map();
+        const sources = new Map();
+        const seen = new Map();
+        
+        // Snapshot clones share the key of the live node they were copied from
+        if (this.activeStep && this.activeStep.snapshot) {
+            for (const [original, copy] of this.activeStep.snapshot.nodeMap) {
+                sources.set(copy, original);
+            }
+        }
+        
+        this.nodeKeys = new Map();
+        this._forEachNode(root, node => {
+            let key = this._getNodeKey(sources.get(node) || node);
+            
+            // Heaps may hold duplicate values
+            const count = seen.get(key) || 0;
+            seen.set(key, count + 1);
+            if (count > 0) key = `${key}#${count}`;
+            
+            this.nodeKeys.set(node, key);
+            layout.set(key, {
+                x: node.x,
+                y: node.y,
+                ghost: Object.assign(Object.create(Object.getPrototypeOf(node)), node)
+            });
+        });
+        
+        return layout;
+    }
+
+    /**
+     * Get a layout key for a node
+     * Trees that rebuild their nodes on every operation are keyed by content,
+     * all others by node identity
+     * @private
+     */
+    _getNodeKey(node) {
+        if (node.isVirtual) return 'virtual-root';
+        if (node.rangeText !== undefined) return `range:${node.rangeText}`;
+        if (node.index !== undefined && !Array.isArray(node.keys)) return `bit:${node.index}`;
+        if (this.tree && Array.isArray(this.tree.array)) return `heap:${node.value}`;
+        
+        if (!this.layoutIds.has(node)) {
+            this.layoutIds.set(node, this.nextLayoutId++);
+        }
+        return this.layoutIds.get(node);
+    }
+
+    /**
+     * @private
+     */
+    _isSameLayout(from, to) {
+        if (from.size !== to.size) return false;
+        
+        for (const [key, pos] of to) {
+            const prev = from.get(key);
+            if (!prev || Math.abs(prev.x - pos.x) > 0.5 || Math.abs(prev.y - pos.y) > 0.5) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Interpolate node positions from one layout to the next,
+     * fading new nodes in and removed nodes out
+     * @private
+     */
+    _startTween(root, from, to) {
+        const duration = this.tweenDuration / this.animationSpeed;
+        const startTime = performance.now();
+        const removed = [...from.entries()].filter(([key]) => !to.has(key));
+        
+        const frame = (now) => {
+            const progress = Math.min(1, (now - startTime) / duration);
+            const t = 1 - Math.pow(1 - progress, 3); // ease-out cubic
+            
+            const displayed = new Map();
+            this.nodeAlphas = new Map();
+            
+            this._forEachNode(root, node => {
+                const key = this.nodeKeys.get(node);
+                const target = to.get(key);
+                const start = from.get(key);
+                
+                if (start) {
+                    node.x = start.x + (target.x - start.x) * t;
+                    node.y = start.y + (target.y - start.y) * t;
+                } else {
+                    node.x = target.x;
+                    node.y = target.y;
+                    this.nodeAlphas.set(key, t);
+                }
+                
+                displayed.set(key, { x: node.x, y: node.y, ghost: target.ghost });
+            });
+            
+            const ghosts = progress < 1
+                ? removed.map(([, pos]) => ({ ghost: pos.ghost, alpha: 1 - t }))
+                : [];
+            
+            this.displayedLayout = displayed;
+            this._renderFrame(root, ghosts);
+            
+            if (progress < 1) {
+                this.tweenFrame = requestAnimationFrame(frame);
+            } else {
+                this.tweenFrame = null;
+                this.nodeAlphas = null;
+                this.displayedLayout = to;
+            }
+        };
         
-        // Draw edges first (so nodes appear on top)
-        this._drawEdges(this.tree.root);
+        this.tweenFrame = requestAnimationFrame(frame);
+    }
+
+    /**
+     * Stop a running tween (the next draw continues from the positions on screen)
+     * @private
+     */
+    _cancelTween() {
+        if (this.tweenFrame !== null) {
+            cancelAnimationFrame(this.tweenFrame);
+            this.tweenFrame = null;
+        }
+        this.nodeAlphas = null;
+    }
+
+    /**
+     * Get opacity of a node for the current frame
+     * @private
+     */
+    _getNodeAlpha(node) {
+        if (!this.nodeAlphas) return 1;
         
-        // Draw nodes
-        this._drawNodes(this.tree.root);
+        const alpha = this.nodeAlphas.get(this.nodeKeys.get(node));
+        return alpha === undefined ? 1 : alpha;
     }
 
     /**
@@ -207,6 +463,7 @@ class TreeVisualizer {
         if (node.children && node.children instanceof Map) {
             for (const child of node.children.values()) {
                 if (child) {
+                    this.ctx.globalAlpha = this._getNodeAlpha(child);
                     this._drawEdge(node.x, node.y, child.x, child.y);
                     this._drawEdges(child);
                 }
@@ -215,6 +472,7 @@ class TreeVisualizer {
             // Handle B-Tree / General Tree nodes
             node.children.forEach(child => {
                 if (child) {
+                    this.ctx.globalAlpha = this._getNodeAlpha(child);
                     this._drawEdge(node.x, node.y, child.x, child.y);
                     this._drawEdges(child);
                 }
@@ -222,17 +480,60 @@ class TreeVisualizer {
         } else {
             // Handle binary tree nodes
             if (node.left) {
+                this.ctx.globalAlpha = this._getNodeAlpha(node.left);
                 this._drawEdge(node.x, node.y, node.left.x, node.left.y);
                 this._drawEdges(node.left);
             }
             
             if (node.right) {
+                this.ctx.globalAlpha = this._getNodeAlpha(node.right);
                 this._drawEdge(node.x, node.y, node.right.x, node.right.y);
                 this._drawEdges(node.right);
             }
         }
     }
 
+    /**
+     * Draw B+ Tree leaf links (`next`) as arrows between neighbouring leaves
+     * @private
+     */
+    _drawLeafLinks(root) {
+        this.ctx.strokeStyle = this.config.colors.leafLink;
+        this.ctx.fillStyle = this.config.colors.leafLink;
+        this.ctx.lineWidth = this.config.edgeStrokeWidth;
+
+        this._forEachNode(root, node => {
+            if (!node.isLeaf || !node.next || !Array.isArray(node.keys)) return;
+
+            const from = node.x + this._getMultiKeyWidth(node) / 2;
+            const to = node.next.x - this._getMultiKeyWidth(node.next) / 2;
+            if (to - from < 8) return; // Leaves drawn too close for an arrow
+
+            this.ctx.globalAlpha = Math.min(this._getNodeAlpha(node), this._getNodeAlpha(node.next));
+            this._drawArrow(from + 2, node.y, to - 2, node.next.y);
+        });
+
+        this.ctx.globalAlpha = 1;
+    }
+
+    /**
+     * Draw a line with an arrow head at (x2, y2)
+     * @private
+     */
+    _drawArrow(x1, y1, x2, y2) {
+        const size = 7;
+        const angle = Math.atan2(y2 - y1, x2 - x1);
+
+        this._drawEdge(x1, y1, x2, y2);
+
+        this.ctx.beginPath();
+        this.ctx.moveTo(x2, y2);
+        this.ctx.lineTo(x2 - size * Math.cos(angle - Math.PI / 6), y2 - size * Math.sin(angle - Math.PI / 6));
+        this.ctx.lineTo(x2 - size * Math.cos(angle + Math.PI / 6), y2 - size * Math.sin(angle + Math.PI / 6));
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
     /**
      * Draw a single edge
      * @private
@@ -270,6 +571,7 @@ class TreeVisualizer {
         }
         
         // Draw this node
+        this.ctx.globalAlpha = this._getNodeAlpha(node);
         this._drawNode(node);
     }
 
@@ -298,6 +600,10 @@ class TreeVisualizer {
             fillColor = this.config.colors.nodeHighlight;
         } else if (node.isVisited) {
             fillColor = this.config.colors.nodeVisited;
+        } else if (node.isSorted || node.isPruned) {
+            // Heap sort tail / branch ruled out by a search
+            fillColor = this.config.colors.nodeMuted;
+            strokeColor = this.config.colors.nodeMuted;
         } else if (node.color === 'RED') {
             fillColor = this.config.colors.nodeRed;
         } else if (node.color === 'BLACK') {
@@ -313,14 +619,20 @@ class TreeVisualizer {
         this.ctx.strokeStyle = strokeColor;
         this.ctx.stroke();
         
-        // Draw value (for Trie, show char; for others, show value)
-        this.ctx.font = `bold ${this.config.fontSize}px ${this.config.fontFamily}`;
+        // For Trie nodes, show the character; for others show the value
+        const displayText = (node.char !== undefined && node.char !== '') ? node.char : node.value.toString();
+        
+        // Radix Trie edge labels can be long: shrink them to fit inside the circle.
+        // Count user-perceived characters, an emoji or 'İ' spans several code units
+        const length = TextUtils.characterCount(displayText);
+        const fontSize = length > 4
+            ? Math.max(9, Math.floor(this.config.fontSize * 4 / length))
+            : this.config.fontSize;
+        
+        this.ctx.font = `bold ${fontSize}px ${this.config.fontFamily}`;
         this.ctx.fillStyle = this.config.colors.text;
         this.ctx.textAlign = 'center';
         this.ctx.textBaseline = 'middle';
-        
-        // For Trie nodes, show the character; for others show the value
-        const displayText = (node.char !== undefined && node.char !== '') ? node.char : node.value.toString();
         this.ctx.fillText(displayText, x, y);
         
         // Show end-of-word marker for Trie
@@ -330,14 +642,72 @@ class TreeVisualizer {
             this.ctx.fillText('*', x + radius - 5, y - radius + 10);
         }
         
-        // Draw height for AVL trees (optional)
+        // Draw covered index range for Segment Tree nodes
+        if (node.rangeText !== undefined) {
+            this.ctx.font = `10px ${this.config.fontFamily}`;
+            this.ctx.fillStyle = this.config.colors.textDark;
+            this.ctx.fillText(node.rangeText, x, y + radius + 12);
+        }
+        
+        // Draw BIT index (and B2 value in two BIT mode) for Fenwick Tree nodes
+        if (node.label !== undefined) {
+            this.ctx.font = `10px ${this.config.fontFamily}`;
+            this.ctx.fillStyle = this.config.colors.textDark;
+            this.ctx.fillText(node.label, x, y + radius + 12);
+        }
+        
+        // Draw pending lazy tag (Lazy Segment Tree)
+        const lazyText = this._getLazyText(node);
+        if (lazyText) {
+            this._drawBadge(lazyText, x + radius, y - radius);
+        }
+        
+        // Draw height for AVL trees and subtree size for search trees (optional)
+        const footer = [];
         if (this.tree && this.tree.name === 'AVL Tree' && node.height !== undefined) {
+            footer.push(`h:${node.height}`);
+        }
+        if (this.showSubtreeSize && this.tree instanceof SearchTreeBase && node.size !== undefined) {
+            footer.push(`n:${node.size}`);
+        }
+        if (footer.length > 0) {
             this.ctx.font = `10px ${this.config.fontFamily}`;
             this.ctx.fillStyle = this.config.colors.textDark;
-            this.ctx.fillText(`h:${node.height}`, x, y + radius + 15);
+            this.ctx.fillText(footer.join('  '), x, y + radius + 15);
         }
     }
 
+    /**
+     * Text for a node's pending lazy tag ('=5', '+3', '=5+3'), null if none
+     * @private
+     */
+    _getLazyText(node) {
+        if (node.lazyAssign === undefined) return null;
+
+        let text = '';
+        if (node.lazyAssign !== null) text += `=${node.lazyAssign}`;
+        if (node.lazyAdd) text += node.lazyAdd > 0 ? `+${node.lazyAdd}` : `${node.lazyAdd}`;
+        return text || null;
+    }
+
+    /**
+     * Draw a small label centered at (x, y)
+     * @private
+     */
+    _drawBadge(text, x, y) {
+        this.ctx.font = `bold 11px ${this.config.fontFamily}`;
+        const width = this.ctx.measureText(text).width + 10;
+        const height = 16;
+        
+        this.ctx.fillStyle = this.config.colors.nodeCurrent;
+        this.ctx.fillRect(x - width / 2, y - height / 2, width, height);
+        
+        this.ctx.fillStyle = this.config.colors.text;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(text, x, y);
+    }
+
     /**
      * Draw a multi-key node (for B-Tree)
      * @private
@@ -345,9 +715,9 @@ class TreeVisualizer {
     _drawMultiKeyNode(node) {
         const { x, y } = node;
         const keyCount = node.keys.length;
-        const cellWidth = 30;
-        const cellHeight = 30;
-        const totalWidth = keyCount * cellWidth;
+        const cellWidth = TreeVisualizer.KEY_CELL_SIZE;
+        const cellHeight = TreeVisualizer.KEY_CELL_SIZE;
+        const totalWidth = this._getMultiKeyWidth(node);
         const startX = x - totalWidth / 2;
         const startY = y - cellHeight / 2;
         
@@ -364,7 +734,9 @@ class TreeVisualizer {
             if (node.highlighted) this.ctx.fillStyle = this.config.colors.nodeHighlight;
             // Note: BTree logic uses `highlighted`, base uses `isHighlighted`. 
             // We should sync this or check both.
+            if (node.isVisited) this.ctx.fillStyle = this.config.colors.nodeVisited;
             if (node.isHighlighted) this.ctx.fillStyle = this.config.colors.nodeHighlight;
+            if (node.isCurrent) this.ctx.fillStyle = this.config.colors.nodeCurrent;
 
             this.ctx.fillRect(cellX, startY, cellWidth, cellHeight);
             
@@ -384,6 +756,14 @@ class TreeVisualizer {
         this.ctx.strokeRect(startX, startY, totalWidth, cellHeight);
     }
 
+    /**
+     * Width of a multi-key node box (one cell per key)
+     * @private
+     */
+    _getMultiKeyWidth(node) {
+        return node.keys.length * TreeVisualizer.KEY_CELL_SIZE;
+    }
+
     /**
      * Highlight a specific node
      * @param {TreeNode} node
@@ -411,17 +791,212 @@ class TreeVisualizer {
         this.draw();
     }
 
+    /**
+     * Highlight several nodes at once on the current tree (e.g. the path of a Trie prefix)
+     * @param {Object[]} nodes
+     * @param {string} state - 'highlight', 'visit', 'current'
+     */
+    highlightNodes(nodes, state = 'highlight') {
+        if (!this.tree) return;
+        
+        this.activeStep = null;
+        this._forEachNode(this.tree.root, node => node.resetVisualState());
+        nodes.forEach(node => this._applyVisualState(node, state));
+        
+        this.draw();
+    }
+
     /**
      * Clear all highlights
      */
     clearHighlights() {
+        this.activeStep = null;
+        
         if (this.tree) {
-            this.tree.resetVisualState();
+            this._forEachNode(this.tree.root, node => node.resetVisualState());
             this.draw();
         }
     }
+
+    /**
+     * Render a single recorded animation step
+     * Uses the snapshot taken when the step was recorded, so earlier
+     * steps show the tree exactly as it was at that moment
+     * @param {Object} step - Step from TreeBase.getAnimationSteps()
+     */
+    drawStep(step) {
+        if (!this.tree) return;
+
+        this.activeStep = step;
+        const snapshot = step.snapshot || null;
+
+        this._forEachNode(snapshot ? snapshot.root : this.tree.root, node => node.resetVisualState());
+
+        const state = TreeVisualizer.STEP_STATES[step.action] || 'current';
+        this._getStepNodes(step.data || {}, snapshot).forEach(node => this._applyVisualState(node, state));
+
+        const data = step.data || {};
+
+        // Nodes that already contributed to the result stay highlighted (e.g. range queries)
+        this._applyToDataNodes(data.resultNodes, snapshot, 'highlight', false);
+        this._applyToDataNodes(data.resultSubtrees, snapshot, 'highlight', true);
+
+        // Branches a search has ruled out stay greyed out (e.g. Trie pattern / fuzzy search)
+        this._applyToDataNodes(data.prunedNodes, snapshot, 'pruned', false);
+        this._applyToDataNodes(data.prunedSubtrees, snapshot, 'pruned', true);
+
+        this.draw();
+    }
+
+    /**
+     * Apply a visual state to nodes listed in step data, mapped into the snapshot
+     * Steps list a whole subtree by its root only, it is expanded here at draw time
+     * @param {Array|undefined} originals - Nodes (or subtree roots) of the live tree
+     * @param {Object|null} snapshot
+     * @param {string} state
+     * @param {boolean} withSubtrees - Also apply the state to every descendant
+     * @private
+     */
+    _applyToDataNodes(originals, snapshot, state, withSubtrees) {
+        (originals || []).forEach(original => {
+            const node = snapshot ? snapshot.nodeMap.get(original) : original;
+            if (!node) return;
+
+            if (withSubtrees) {
+                this._forEachNode(node, descendant => this._applyVisualState(descendant, state));
+            } else {
+                this._applyVisualState(node, state);
+            }
+        });
+    }
+
+    /**
+     * Collect the nodes referenced by step data, mapped into the snapshot
+     * (nodes not yet linked into the tree at that moment are skipped)
+     * @private
+     */
+    _getStepNodes(data, snapshot) {
+        const nodes = [];
+        const root = snapshot ? snapshot.root : this.tree.root;
+
+        ['node', 'pivot', 'parent', 'child', 'newChild', 'successor', 'sibling', 'source'].forEach(key => {
+            const original = data[key];
+            if (!original || typeof original !== 'object') return;
+
+            const node = snapshot ? snapshot.nodeMap.get(original) : original;
+            if (node && !nodes.includes(node)) {
+                nodes.push(node);
+            }
+        });
+
+        // Heap steps reference array indices instead of nodes
+        if (nodes.length === 0 && this.tree && Array.isArray(this.tree.array)) {
+            const byIndex = [];
+            const queue = root ? [root] : [];
+            while (queue.length > 0) {
+                const node = queue.shift();
+                byIndex.push(node);
+                if (node.left) queue.push(node.left);
+                if (node.right) queue.push(node.right);
+            }
+
+            ['index', 'parentIndex', 'childIndex'].forEach(key => {
+                const node = byIndex[data[key]];
+                if (node && !nodes.includes(node)) {
+                    nodes.push(node);
+                }
+            });
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Set visual flags on a node
+     * @private
+     */
+    _applyVisualState(node, state) {
+        switch (state) {
+            case 'highlight':
+                node.isHighlighted = true;
+                break;
+            case 'visit':
+                node.isVisited = true;
+                break;
+            case 'current':
+                node.isCurrent = true;
+                break;
+            case 'pruned':
+                node.isPruned = true;
+                break;
+        }
+    }
+
+    /**
+     * Visit every node regardless of node type (binary, Trie or multi-key)
+     * @private
+     */
+    _forEachNode(node, callback) {
+        if (!node) return;
+
+        callback(node);
+
+        if (node.children && node.children instanceof Map) {
+            for (const child of node.children.values()) {
+                this._forEachNode(child, callback);
+            }
+        } else if (Array.isArray(node.children) && node.children.length > 0) {
+            node.children.forEach(child => this._forEachNode(child, callback));
+        } else {
+            this._forEachNode(node.left, callback);
+            this._forEachNode(node.right, callback);
+        }
+    }
 }
 
+// Width and height of one key cell in a multi-key (B-Tree / B+ Tree) node
+TreeVisualizer.KEY_CELL_SIZE = 30;
+
+// Horizontal space between neighbouring leaves of a multi-key tree
+TreeVisualizer.LEAF_GAP = 28;
+
+// Visual state used for each recorded step action
+TreeVisualizer.STEP_STATES = {
+    compare: 'current',
+    visit: 'visit',
+    checkBalance: 'current',
+    rotation: 'current',
+    colorFlip: 'current',
+    moveRedLeft: 'current',
+    moveRedRight: 'current',
+    split: 'current',
+    borrow: 'current',
+    merge: 'current',
+    swap: 'current',
+    delete: 'current',
+    replace: 'highlight',
+    separator: 'highlight',
+    highlight: 'highlight',
+    insert: 'highlight',
+    insert_leaf: 'highlight',
+    markEnd: 'highlight',
+    found: 'highlight',
+    update: 'highlight',
+    update_internal: 'current',
+    covered: 'highlight',
+    partial: 'current',
+    skipped: 'visit',
+    lazyTag: 'highlight',
+    pushDown: 'current',
+    bitUpdate: 'current',
+    bitQuery: 'current',
+    sortExtract: 'current',
+    sortDone: 'highlight',
+    scan: 'current',
+    prune: 'current',
+    root_change: 'highlight'
+};
+
 // Export
 if (typeof window !== 'undefined') {
     window.TreeVisualizer = TreeVisualizer;